@@ -0,0 +1,151 @@
+// ========== ADMIN AUTH & AUDIT LOG ==========
+// API keys for operators, each with a name (the caller identity in the audit
+// log) and a role. Configured as ADMIN_API_KEYS:
+//
+//   name:role:key,name:role:key      e.g. ops:admin:9f86d0...,grafana:viewer:3c1a...
+//
+// Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// Roles are ordered; a route requiring `operator` also accepts `admin`:
+//   viewer    read-only status
+//   operator  cache resets, live debug scrapes
+//   admin     everything, including the audit log
+const crypto = require('crypto');
+const { parseBearer } = require('./device-credentials');
+const { logger } = require('./logger');
+
+const ADMIN_ROLES = ['viewer', 'operator', 'admin'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+// Throws on a malformed entry so a typo can't silently lock everyone out; runs
+// as the ADMIN_API_KEYS parse hook in lib/config.js, so the error reads as
+// "ADMIN_API_KEYS has an invalid entry ..."
+function parseAdminKeys(spec = '') {
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...keyParts] = entry.split(':');
+    const key = keyParts.join(':');
+    if (!name || !ADMIN_ROLES.includes(role) || key.length < 16) {
+      throw new Error(`has an invalid entry '${name || entry.slice(0, 8)}': expected name:role:key with role in ${ADMIN_ROLES.join('/')} and a key of 16+ characters`);
+    }
+    return { name, role, hash: hashKey(key) };
+  });
+}
+
+// Admin requests grouped by UTC day (newest last), kept for retentionDays
+class AdminAuditLog {
+  constructor({ store = new Map(), retentionDays = 90 } = {}) {
+    this.store = store;
+    this.retentionDays = retentionDays;
+  }
+
+  record(entry) {
+    const at = new Date();
+    const day = at.toISOString().slice(0, 10);
+    const entries = this.store.get(day) || [];
+    entries.push({ at: at.toISOString(), ...entry });
+    this.store.set(day, entries);
+
+    const cutoff = new Date(at.getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const storedDay of Array.from(this.store.keys())) {
+      if (storedDay < cutoff) this.store.delete(storedDay);
+    }
+  }
+
+  // Newest first; filters: { limit, caller, since (ISO) }
+  list({ limit = 100, caller, since } = {}) {
+    const entries = Array.from(this.store.keys()).sort().reverse()
+      .filter(day => !since || day >= since.slice(0, 10))
+      .flatMap(day => (this.store.get(day) || []).slice().reverse())
+      .filter(entry => (!caller || entry.caller === caller) && (!since || entry.at >= since));
+    return { entries: entries.slice(0, limit), total: entries.length };
+  }
+}
+
+class AdminAuth {
+  constructor({ keys = [], audit = new AdminAuditLog() } = {}) {
+    this.keys = keys;
+    this.audit = audit;
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  // { name, role } for a known key, otherwise null
+  authenticate(req) {
+    const presented = parseBearer(req.get('Authorization')) || req.get('X-API-Key');
+    if (!presented) return null;
+    const hash = hashKey(presented);
+    const match = this.keys.find(candidate => crypto.timingSafeEqual(candidate.hash, hash));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  /**
+   * Middleware allowing callers with at least `role`. Stackable: a prefix guard
+   * and a stricter route guard share one authentication and one audit entry,
+   * written when the response finishes so it carries the final status.
+   * Requests without a valid key are only logged - anyone can send those, so
+   * persisting them would let anonymous clients grow the audit store.
+   */
+  require(role) {
+    if (!ADMIN_ROLES.includes(role)) throw new Error(`Unknown admin role '${role}'`);
+
+    return (req, res, next) => {
+      if (req.adminAudit === undefined) {
+        req.admin = this.authenticate(req);
+        req.adminAudit = { outcome: 'allowed' };
+        res.on('finish', () => {
+          const caller = req.admin ? req.admin.name : null;
+          logger.info(`🛡️ Admin ${req.method} ${req.originalUrl} by ${caller || 'anonymous'}: ${res.statusCode} (${req.adminAudit.outcome})`, {
+            caller,
+            status: res.statusCode,
+            outcome: req.adminAudit.outcome
+          });
+          if (!req.admin) return;
+          this.audit.record({
+            requestId: req.id,
+            caller,
+            role: req.admin.role,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            outcome: req.adminAudit.outcome,
+            ip: req.ip
+          });
+        });
+      }
+
+      if (!this.enabled) {
+        req.adminAudit.outcome = 'disabled';
+        return res.status(503).json({
+          error: 'Admin API is not configured (set ADMIN_API_KEYS)',
+          referenceId: req.id
+        });
+      }
+      if (!req.admin) {
+        req.adminAudit.outcome = 'unauthenticated';
+        res.set('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({
+          error: 'Admin API key required',
+          referenceId: req.id
+        });
+      }
+      if (ADMIN_ROLES.indexOf(req.admin.role) < ADMIN_ROLES.indexOf(role)) {
+        req.adminAudit.outcome = 'forbidden';
+        return res.status(403).json({
+          error: `Requires the ${role} role`,
+          role: req.admin.role,
+          referenceId: req.id
+        });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  AdminAuth,
+  AdminAuditLog,
+  parseAdminKeys
+};
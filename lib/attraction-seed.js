@@ -0,0 +1,39 @@
+// ========== ATTRACTION CATALOG SEED ==========
+// Hand-curated canonical ids and the nicknames guests actually type. Upstream
+// attractions are linked to these by name/alias the first time they are seen;
+// everything else is added to the catalog automatically.
+module.exports = [
+  // Magic Kingdom
+  { park: 'magic-kingdom', slug: 'space-mountain', name: 'Space Mountain', aliases: ['space mtn'] },
+  { park: 'magic-kingdom', slug: 'pirates-of-the-caribbean', name: 'Pirates of the Caribbean', aliases: ['pirates', 'potc'] },
+  { park: 'magic-kingdom', slug: 'haunted-mansion', name: 'Haunted Mansion', aliases: ['the haunted mansion', 'mansion'] },
+  { park: 'magic-kingdom', slug: 'big-thunder-mountain-railroad', name: 'Big Thunder Mountain Railroad', aliases: ['big thunder', 'big thunder mountain', 'btmrr'] },
+  { park: 'magic-kingdom', slug: 'seven-dwarfs-mine-train', name: 'Seven Dwarfs Mine Train', aliases: ['mine train', '7dmt'] },
+  { park: 'magic-kingdom', slug: 'tron-lightcycle-run', name: 'TRON Lightcycle / Run', aliases: ['tron'] },
+  { park: 'magic-kingdom', slug: 'tianas-bayou-adventure', name: "Tiana's Bayou Adventure", aliases: ['tiana', 'splash mountain'] },
+  { park: 'magic-kingdom', slug: 'peter-pans-flight', name: "Peter Pan's Flight", aliases: ['peter pan'] },
+  { park: 'magic-kingdom', slug: 'jungle-cruise', name: 'Jungle Cruise', aliases: [] },
+  { park: 'magic-kingdom', slug: 'its-a-small-world', name: '"it\'s a small world"', aliases: ['small world'] },
+
+  // EPCOT
+  { park: 'epcot', slug: 'guardians-of-the-galaxy-cosmic-rewind', name: 'Guardians of the Galaxy: Cosmic Rewind', aliases: ['cosmic rewind', 'guardians', 'guardians of the galaxy'] },
+  { park: 'epcot', slug: 'frozen-ever-after', name: 'Frozen Ever After', aliases: ['frozen'] },
+  { park: 'epcot', slug: 'test-track', name: 'Test Track', aliases: [] },
+  { park: 'epcot', slug: 'remys-ratatouille-adventure', name: "Remy's Ratatouille Adventure", aliases: ['ratatouille', 'remy'] },
+  { park: 'epcot', slug: 'soarin-around-the-world', name: "Soarin' Around the World", aliases: ['soarin', 'soaring'] },
+  { park: 'epcot', slug: 'spaceship-earth', name: 'Spaceship Earth', aliases: [] },
+
+  // Hollywood Studios
+  { park: 'hollywood-studios', slug: 'star-wars-rise-of-the-resistance', name: 'Star Wars: Rise of the Resistance', aliases: ['rise of the resistance', 'rise', 'rotr'] },
+  { park: 'hollywood-studios', slug: 'millennium-falcon-smugglers-run', name: 'Millennium Falcon: Smugglers Run', aliases: ['smugglers run'] },
+  { park: 'hollywood-studios', slug: 'slinky-dog-dash', name: 'Slinky Dog Dash', aliases: ['slinky', 'slinky dog'] },
+  { park: 'hollywood-studios', slug: 'mickey-minnies-runaway-railway', name: "Mickey & Minnie's Runaway Railway", aliases: ['runaway railway', 'mmrr'] },
+  { park: 'hollywood-studios', slug: 'rock-n-roller-coaster', name: "Rock 'n' Roller Coaster Starring Aerosmith", aliases: ['rock n roller coaster', 'rockin roller coaster'] },
+  { park: 'hollywood-studios', slug: 'tower-of-terror', name: 'The Twilight Zone Tower of Terror', aliases: ['tower of terror', 'tot'] },
+
+  // Animal Kingdom
+  { park: 'animal-kingdom', slug: 'avatar-flight-of-passage', name: 'Avatar Flight of Passage', aliases: ['flight of passage', 'fop'] },
+  { park: 'animal-kingdom', slug: 'navi-river-journey', name: "Na'vi River Journey", aliases: ['navi river', 'river journey'] },
+  { park: 'animal-kingdom', slug: 'expedition-everest', name: 'Expedition Everest - Legend of the Forbidden Mountain', aliases: ['expedition everest', 'everest'] },
+  { park: 'animal-kingdom', slug: 'kilimanjaro-safaris', name: 'Kilimanjaro Safaris', aliases: ['safari', 'safaris'] }
+];
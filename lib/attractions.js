@@ -0,0 +1,199 @@
+// ========== CANONICAL ATTRACTION CATALOG ==========
+// Gives every attraction a stable id ("<park>:<slug>") no matter which
+// upstream reported it. Each entry remembers the per-source ids it was seen
+// under, so when Queue-Times or ThemeParks.wiki renames a ride the source id
+// still maps to the same canonical id and the old name becomes an alias.
+//
+// Entry: { id, park, name, aliases: [], sourceIds: { [source]: [ids] }, firstSeen, lastSeen }
+
+const { logger } = require('./logger');
+
+const STOPWORDS = new Set(['the', 'of', 'a', 'an', 'and', 'at', 'disney', 'disneys']);
+
+// Lowercase, strip accents/punctuation/trademark symbols, collapse whitespace
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[™®©]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’"]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(name) {
+  return normalizeName(name).split(' ').filter(token => token && !STOPWORDS.has(token));
+}
+
+function slugify(name) {
+  return normalizeName(name).replace(/\s+/g, '-').substring(0, 60) || 'attraction';
+}
+
+/**
+ * Score how well a query names an entry (0 = no match).
+ *   100 - the canonical id itself
+ *    90 - exact name or alias
+ *   60+ - every query token appears as a whole word in the name or an alias
+ */
+function scoreEntry(entry, query) {
+  if (query === entry.id) return 100;
+
+  const normalizedQuery = normalizeName(query);
+  const names = [entry.name, ...entry.aliases];
+  if (names.some(name => normalizeName(name) === normalizedQuery)) return 90;
+
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return 0;
+
+  let best = 0;
+  for (const name of names) {
+    const nameTokens = tokenize(name);
+    if (nameTokens.length === 0) continue;
+    if (queryTokens.every(token => nameTokens.includes(token))) {
+      best = Math.max(best, 60 + Math.round((queryTokens.length / nameTokens.length) * 29));
+    }
+  }
+  return best;
+}
+
+function hasAlias(entry, name) {
+  const normalized = normalizeName(name);
+  return entry.aliases.some(alias => normalizeName(alias) === normalized);
+}
+
+class AttractionCatalog {
+  // store: a Map (usually storage.map('attractionCatalog')) of id -> entry
+  constructor({ store = new Map(), seed = [] } = {}) {
+    this.store = store;
+    this.sourceIndex = new Map(); // "<source>:<sourceId>" -> canonical id
+
+    for (const entry of this.store.values()) this.indexEntry(entry);
+
+    for (const { park, slug, name, aliases = [] } of seed) {
+      const id = `${park}:${slug}`;
+      const existing = this.store.get(id);
+      if (existing) {
+        // Pick up aliases added to the seed since the entry was stored
+        const merged = Array.from(new Set([...existing.aliases, ...aliases]));
+        if (merged.length !== existing.aliases.length) {
+          existing.aliases = merged;
+          this.save(existing);
+        }
+        continue;
+      }
+      this.save({ id, park, name, aliases: [...aliases], sourceIds: {}, firstSeen: null, lastSeen: null });
+    }
+  }
+
+  indexEntry(entry) {
+    for (const [source, ids] of Object.entries(entry.sourceIds || {})) {
+      for (const sourceId of ids) this.sourceIndex.set(`${source}:${sourceId}`, entry.id);
+    }
+  }
+
+  save(entry) {
+    this.store.set(entry.id, entry);
+    this.indexEntry(entry);
+  }
+
+  get(id) {
+    return this.store.get(id) || null;
+  }
+
+  list(park) {
+    return Array.from(this.store.values()).filter(entry => !park || entry.park === park);
+  }
+
+  // Exact name/alias match inside a park, used to link new source ids
+  findByName(park, name) {
+    const normalized = normalizeName(name);
+    return this.list(park).find(entry =>
+      [entry.name, ...entry.aliases].some(candidate => normalizeName(candidate) === normalized)
+    ) || null;
+  }
+
+  uniqueId(park, name) {
+    const base = `${park}:${slugify(name)}`;
+    let id = base;
+    for (let suffix = 2; this.store.has(id); suffix++) id = `${base}-${suffix}`;
+    return id;
+  }
+
+  /**
+   * Map freshly parsed attractions onto canonical ids. Returns copies with
+   * id = canonical id and sourceId = the parser's original id.
+   */
+  ingest(park, source, attractions) {
+    const now = new Date().toISOString();
+
+    return attractions.map(ride => {
+      const sourceId = String(ride.id);
+      let entry = this.get(this.sourceIndex.get(`${source}:${sourceId}`));
+
+      if (!entry) {
+        entry = this.findByName(park, ride.name);
+      }
+      if (!entry) {
+        entry = { id: this.uniqueId(park, ride.name), park, name: ride.name, aliases: [], sourceIds: {}, firstSeen: now, lastSeen: null };
+        logger.info(`🆕 New attraction in catalog: ${entry.id} (${source}:${sourceId})`, { park, source });
+      }
+
+      let changed = false;
+      if (!(entry.sourceIds[source] || []).includes(sourceId)) {
+        entry.sourceIds[source] = [...(entry.sourceIds[source] || []), sourceId];
+        changed = true;
+      }
+
+      // Upstream rename: keep the canonical id, remember the old name
+      if (normalizeName(entry.name) !== normalizeName(ride.name) && !hasAlias(entry, ride.name)) {
+        logger.info(`✏️ Attraction renamed upstream: "${entry.name}" -> "${ride.name}" (${entry.id})`, { park, source });
+        entry.aliases = Array.from(new Set([...entry.aliases, entry.name]));
+        entry.name = ride.name;
+        changed = true;
+      }
+
+      if (!entry.firstSeen) entry.firstSeen = now;
+      // Only persist lastSeen once an hour so every poll doesn't rewrite the store
+      if (changed || !entry.lastSeen || Date.parse(now) - Date.parse(entry.lastSeen) > 60 * 60 * 1000) {
+        entry.lastSeen = now;
+        changed = true;
+      }
+      if (changed) this.save(entry);
+
+      return { ...ride, id: entry.id, sourceId };
+    });
+  }
+
+  search(park, query, limit = 10) {
+    if (!query) return [];
+    return this.list(park)
+      .map(entry => ({ entry, score: scoreEntry(entry, query) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolve free text (or a canonical id) to one attraction.
+   * Returns { attraction, candidates } - attraction is null when nothing or
+   * more than one attraction matches equally well.
+   */
+  resolve(park, query) {
+    const results = this.search(park, query);
+    if (results.length === 0) return { attraction: null, candidates: [] };
+
+    const [top, second] = results;
+    const unambiguous = top.score >= 90 || !second || second.score < top.score;
+    return {
+      attraction: unambiguous ? top.entry : null,
+      candidates: results.map(result => result.entry)
+    };
+  }
+}
+
+module.exports = {
+  AttractionCatalog,
+  normalizeName
+};
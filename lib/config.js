@@ -0,0 +1,268 @@
+// ========== CONFIGURATION ==========
+// Every tunable in one place. Each setting has a path in the config object, an
+// env var, a type, a default and (where it matters) a range, a validate hook
+// that throws on a bad value, or a parse hook that turns the raw value into
+// what the server uses (admin.apiKeys becomes [{ name, role, hash }]):
+//
+//   defaults  <  CONFIG_FILE (JSON, same nesting as the config object)  <  env vars  <  CLI flags
+//
+//   CONFIG_FILE=./proxy.config.json
+//   { "cache": { "ttl": { "waitTimes": 120 } }, "rateLimit": { "max": 300 } }
+//
+// loadConfig() validates everything up front and throws a ConfigError listing
+// every bad value, so a typo stops the deploy instead of surfacing later as
+// NaN timers or a string TTL. Secrets are never returned by redactConfig().
+const fs = require('fs');
+const path = require('path');
+const { LOG_LEVELS } = require('./logger');
+const { UPSTREAM_MODES } = require('./upstream-http');
+const { parseAdminKeys } = require('./admin-auth');
+
+const DEFAULT_CORS_ORIGINS = [
+  'http://localhost:8081',
+  'https://pixiepal-app.vercel.app',
+  '/^https:\\/\\/.*\\.vercel\\.app$/',
+  '/^exp:\\/\\/.*/', // Expo development
+  '/^https:\\/\\/.*\\.netlify\\.app$/',
+  'https://pixiepal.app'
+];
+
+const SETTINGS = [
+  { path: 'server.port', env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  { path: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+
+  { path: 'storage.adapter', env: 'STORAGE_ADAPTER', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  { path: 'storage.dir', env: 'STORAGE_DIR', type: 'string', default: './data' },
+
+  // Seconds
+  { path: 'cache.ttl.parkHours', env: 'CACHE_TTL_PARK_HOURS', type: 'integer', default: 3600, min: 10, max: 86400 },
+  { path: 'cache.ttl.entertainment', env: 'CACHE_TTL_ENTERTAINMENT', type: 'integer', default: 1800, min: 10, max: 86400 },
+  { path: 'cache.ttl.waitTimes', env: 'CACHE_TTL_WAIT_TIMES', type: 'integer', default: 300, min: 10, max: 3600 },
+  { path: 'cache.ttl.forecast', env: 'CACHE_TTL_FORECAST', type: 'integer', default: 900, min: 10, max: 86400 },
+  { path: 'cache.ttl.characters', env: 'CACHE_TTL_CHARACTERS', type: 'integer', default: 1800, min: 10, max: 86400 },
+  { path: 'cache.prewarm', env: 'CACHE_PREWARM', type: 'boolean', default: true },
+
+  { path: 'rateLimit.windowMinutes', env: 'RATE_LIMIT_WINDOW_MINUTES', type: 'integer', default: 15, min: 1, max: 1440 },
+  { path: 'rateLimit.max', env: 'RATE_LIMIT_MAX', type: 'integer', default: 100, min: 1, max: 100000 },
+
+  { path: 'cors.origins', env: 'CORS_ORIGINS', type: 'list', default: DEFAULT_CORS_ORIGINS, validate: (origins) => origins.forEach(parseCorsOrigin) },
+  { path: 'cors.credentials', env: 'CORS_CREDENTIALS', type: 'boolean', default: true },
+
+  // Milliseconds
+  { path: 'upstream.timeoutMs', env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', default: 8000, min: 500, max: 60000 },
+  { path: 'upstream.retryDelayMs', env: 'UPSTREAM_RETRY_DELAY_MS', type: 'integer', default: 2000, min: 0, max: 30000 },
+  { path: 'upstream.scrapeTimeoutMs', env: 'SCRAPE_TIMEOUT_MS', type: 'integer', default: 15000, min: 1000, max: 120000 },
+  { path: 'upstream.sources', env: 'DATA_SOURCES', type: 'json', default: null },
+  { path: 'upstream.mode', env: 'UPSTREAM_MODE', type: 'enum', values: UPSTREAM_MODES, default: 'live' },
+  { path: 'upstream.fixturesDir', env: 'UPSTREAM_FIXTURES_DIR', type: 'string', default: './fixtures/upstream' },
+
+  { path: 'breaker.timeoutMs', env: 'BREAKER_TIMEOUT_MS', type: 'integer', default: 8000, min: 500, max: 120000 },
+  { path: 'breaker.errorThresholdPercentage', env: 'BREAKER_ERROR_THRESHOLD_PERCENTAGE', type: 'integer', default: 50, min: 1, max: 100 },
+  { path: 'breaker.resetTimeoutMs', env: 'BREAKER_RESET_TIMEOUT_MS', type: 'integer', default: 30000, min: 1000, max: 600000 },
+
+  { path: 'monitoring.intervalMinutes', env: 'MONITORING_INTERVAL_MINUTES', type: 'integer', default: 5, min: 1, max: 1440 },
+  { path: 'history.intervalMinutes', env: 'HISTORY_INTERVAL_MINUTES', type: 'integer', default: 5, min: 1, max: 1440 },
+  { path: 'history.retentionDays', env: 'HISTORY_RETENTION_DAYS', type: 'integer', default: 30, min: 1, max: 3650 },
+
+  { path: 'push.concurrency', env: 'PUSH_CONCURRENCY', type: 'integer', default: 4, min: 1, max: 64 },
+  { path: 'push.receiptIntervalMinutes', env: 'PUSH_RECEIPT_INTERVAL_MINUTES', type: 'integer', default: 5, min: 1, max: 1440 },
+  { path: 'alerts.cooldownMinutes', env: 'ALERT_COOLDOWN_MINUTES', type: 'integer', default: 30, min: 0, max: 1440 },
+
+  { path: 'firebase.projectId', env: 'FIREBASE_PROJECT_ID', type: 'string', default: 'pixie-pal-notifications' },
+  { path: 'firebase.privateKey', env: 'FIREBASE_PRIVATE_KEY', type: 'string', default: null, secret: true },
+  { path: 'firebase.privateKeyId', env: 'FIREBASE_PRIVATE_KEY_ID', type: 'string', default: null, secret: true },
+  { path: 'firebase.clientEmail', env: 'FIREBASE_CLIENT_EMAIL', type: 'string', default: null },
+  { path: 'firebase.clientId', env: 'FIREBASE_CLIENT_ID', type: 'string', default: null },
+
+  { path: 'deviceCredentials.secret', env: 'DEVICE_CREDENTIAL_SECRET', type: 'string', default: null, minLength: 16, secret: true },
+  { path: 'admin.apiKeys', env: 'ADMIN_API_KEYS', type: 'string', default: null, secret: true, parse: parseAdminKeys },
+  { path: 'admin.auditRetentionDays', env: 'ADMIN_AUDIT_RETENTION_DAYS', type: 'integer', default: 90, min: 1, max: 3650 },
+  { path: 'metrics.token', env: 'METRICS_TOKEN', type: 'string', default: null, secret: true }
+];
+
+// `node server.js --replay` and friends
+const FLAGS = {
+  '--record': { path: 'upstream.mode', value: 'record' },
+  '--replay': { path: 'upstream.mode', value: 'replay' }
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Env values arrive as strings; file values may already be typed
+const parsers = {
+  integer(value, setting) {
+    const number = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number)) throw new Error('must be an integer');
+    if (setting.min !== undefined && number < setting.min) throw new Error(`must be at least ${setting.min}`);
+    if (setting.max !== undefined && number > setting.max) throw new Error(`must be at most ${setting.max}`);
+    return number;
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) return true;
+    if (['false', '0', 'no'].includes(normalized)) return false;
+    throw new Error('must be true or false');
+  },
+  string(value, setting) {
+    if (typeof value !== 'string' || value.trim() === '') throw new Error('must be a non-empty string');
+    if (setting.minLength !== undefined && value.length < setting.minLength) {
+      throw new Error(`must be at least ${setting.minLength} characters`);
+    }
+    return value;
+  },
+  enum(value, setting) {
+    const normalized = String(value).trim().toLowerCase();
+    if (!setting.values.includes(normalized)) throw new Error(`must be one of ${setting.values.join(', ')}`);
+    return normalized;
+  },
+  // Comma-separated in env, an array in the config file
+  list(value) {
+    const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+    if (!items || items.some(item => typeof item !== 'string')) throw new Error('must be a list of strings');
+    const trimmed = items.map(item => item.trim()).filter(Boolean);
+    if (trimmed.length === 0) throw new Error('must not be empty');
+    return trimmed;
+  },
+  json(value) {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`must be valid JSON (${error.message})`);
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('must be a JSON object');
+    return parsed;
+  }
+};
+
+const getPath = (object, dottedPath) =>
+  dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+}
+
+// Dotted paths of every leaf in a config file, to catch misspelled keys
+function leafPaths(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const dottedPath = prefix ? `${prefix}.${key}` : key;
+    const isSetting = SETTINGS.some(setting => setting.path === dottedPath);
+    return !isSetting && value && typeof value === 'object' && !Array.isArray(value)
+      ? leafPaths(value, dottedPath)
+      : [dottedPath];
+  });
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(`CONFIG_FILE ${file} must contain a JSON object`);
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    errors.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+const deepFreeze = (object) => {
+  for (const value of Object.values(object)) {
+    // Buffers (admin key hashes) can't be frozen
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) deepFreeze(value);
+  }
+  return Object.freeze(object);
+};
+
+/**
+ * Build the frozen config object from env (default process.env), the optional
+ * CONFIG_FILE and CLI flags. Throws a ConfigError listing every problem found.
+ * The returned config has a non-enumerable `meta` with each setting's origin.
+ */
+function loadConfig(env = process.env, argv = process.argv.slice(2)) {
+  const errors = [];
+  const flagged = {};
+  for (const arg of argv.filter(arg => arg.startsWith('--'))) {
+    if (FLAGS[arg]) flagged[FLAGS[arg].path] = FLAGS[arg].value;
+    else errors.push(`Unknown flag ${arg} (expected ${Object.keys(FLAGS).join(', ')})`);
+  }
+
+  const file = env.CONFIG_FILE || null;
+  const fileValues = file ? readConfigFile(file, errors) : {};
+
+  for (const unknown of leafPaths(fileValues).filter(p => !SETTINGS.some(setting => setting.path === p))) {
+    errors.push(`Unknown setting '${unknown}' in CONFIG_FILE ${file}`);
+  }
+
+  const config = {};
+  const origins = {};
+  for (const setting of SETTINGS) {
+    const envValue = env[setting.env];
+    const fromFile = getPath(fileValues, setting.path);
+    let origin = 'default';
+    let raw = setting.default;
+    if (flagged[setting.path] !== undefined) [origin, raw] = ['flag', flagged[setting.path]];
+    else if (envValue !== undefined && envValue !== '') [origin, raw] = ['env', envValue];
+    else if (fromFile !== undefined && fromFile !== null) [origin, raw] = ['file', fromFile];
+
+    let value = raw;
+    if (origin !== 'default') {
+      try {
+        value = parsers[setting.type](raw, setting);
+        if (setting.validate) setting.validate(value);
+        if (setting.parse) value = setting.parse(value);
+      } catch (error) {
+        const where = origin === 'file' ? `${setting.path} in CONFIG_FILE` : setting.env;
+        errors.push(`${where} ${error.message} (got ${setting.secret ? 'a redacted value' : JSON.stringify(raw)})`);
+      }
+    }
+    setPath(config, setting.path, value);
+    origins[setting.path] = origin;
+  }
+
+  if (errors.length) throw new ConfigError(errors);
+
+  Object.defineProperty(config, 'meta', { value: { file, origins }, enumerable: false });
+  return deepFreeze(config);
+}
+
+// The effective config with secrets replaced: '[redacted]' when set, null when not
+function redactConfig(config) {
+  const redacted = JSON.parse(JSON.stringify(config));
+  for (const setting of SETTINGS.filter(s => s.secret)) {
+    setPath(redacted, setting.path, getPath(config, setting.path) === null ? null : '[redacted]');
+  }
+  return redacted;
+}
+
+// CORS origins are exact strings, or regular expressions written as /pattern/
+function parseCorsOrigin(origin) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(origin);
+  if (!match) return origin;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new Error(`has an invalid pattern ${origin} (${error.message})`);
+  }
+}
+
+module.exports = {
+  SETTINGS,
+  ConfigError,
+  loadConfig,
+  redactConfig,
+  parseCorsOrigin
+};
@@ -0,0 +1,60 @@
+// ========== DEVICE CREDENTIALS ==========
+// Registration issues each device a signed credential that the app sends back
+// as `Authorization: Bearer <credential>` on every notification route:
+//
+//   dc1.<base64url JSON { sub: userId, did: deviceId, iat }>.<base64url HMAC-SHA256>
+//
+// The signature only proves the server issued it; callers still check that
+// the device exists under that user, so moving a push token to another user
+// revokes the old credential.
+const crypto = require('crypto');
+
+const VERSION = 'dc1';
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+class DeviceCredentials {
+  constructor({ secret }) {
+    if (!secret) throw new Error('DeviceCredentials requires a secret');
+    this.secret = secret;
+  }
+
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(`${VERSION}.${encodedPayload}`).digest();
+  }
+
+  issue({ userId, deviceId }) {
+    const payload = base64url(JSON.stringify({ sub: userId, did: deviceId, iat: Math.floor(Date.now() / 1000) }));
+    return `${VERSION}.${payload}.${base64url(this.sign(payload))}`;
+  }
+
+  // { userId, deviceId, issuedAt } for a genuine credential, otherwise null
+  verify(credential) {
+    if (typeof credential !== 'string') return null;
+    const [version, payload, signature, ...rest] = credential.split('.');
+    if (version !== VERSION || !payload || !signature || rest.length > 0) return null;
+
+    const expected = this.sign(payload);
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const { sub, did, iat } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!sub || !did) return null;
+      return { userId: sub, deviceId: did, issuedAt: new Date(iat * 1000).toISOString() };
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Credential from an `Authorization: Bearer ...` header value
+function parseBearer(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  DeviceCredentials,
+  parseBearer
+};
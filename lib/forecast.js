@@ -0,0 +1,214 @@
+// ========== WAIT TIME FORECASTING ==========
+// Predicts waits for the rest of the operating day from recorded history.
+// History is rolled up once into a WaitProfile - per attraction, park-local
+// day-of-week and 15-minute time-of-day slot, a histogram of observed waits -
+// so a forecast never re-reads the raw samples. Each future slot gets a median
+// prediction with a p25-p75 band.
+const {
+  formatClock,
+  getParkLocalParts,
+  parkDate,
+  parkMinutesToDate,
+  parkTimestamp,
+  weekdayOf
+} = require('./park-time');
+
+const MIN_DAY_OF_WEEK_SAMPLES = 3; // Below this, fall back to every day of the week
+const PROFILE_SLOT_MINUTES = 15; // Forecast slots must be a multiple of this
+
+// Value at sorted position `index` of a wait histogram ([[wait, count]] ascending)
+function valueAt(histogram, index) {
+  let seen = 0;
+  for (const [wait, count] of histogram) {
+    seen += count;
+    if (index < seen) return wait;
+  }
+  return histogram[histogram.length - 1][0];
+}
+
+function percentile(histogram, total, fraction) {
+  if (total === 0) return null;
+  const index = (total - 1) * fraction;
+  const lower = Math.floor(index);
+  const weight = index - lower;
+  return valueAt(histogram, lower) * (1 - weight) + valueAt(histogram, Math.ceil(index)) * weight;
+}
+
+function confidenceLevel(sampleCount, basis) {
+  if (basis === 'day_of_week' && sampleCount >= 8) return 'high';
+  if (sampleCount >= MIN_DAY_OF_WEEK_SAMPLES) return 'medium';
+  return 'low';
+}
+
+/**
+ * Open-ride waits bucketed by attraction -> "dayOfWeek:slot" and "all:slot",
+ * each bucket a Map of wait -> count. Built once from the lookback window,
+ * then extended as the recorder appends samples.
+ */
+class WaitProfile {
+  constructor({ timeZone }) {
+    this.timeZone = timeZone;
+    this.attractions = new Map();
+    this.sampleCount = 0;
+  }
+
+  add(sample) {
+    const { dayOfWeek, minutes } = getParkLocalParts(new Date(sample.time), this.timeZone);
+    const slot = Math.floor(minutes / PROFILE_SLOT_MINUTES) * PROFILE_SLOT_MINUTES;
+    this.sampleCount++;
+
+    for (const ride of sample.attractions || []) {
+      if (!ride.isOpen || typeof ride.waitTime !== 'number') continue;
+
+      if (!this.attractions.has(ride.id)) {
+        this.attractions.set(ride.id, { id: ride.id, name: ride.name, buckets: new Map() });
+      }
+      const entry = this.attractions.get(ride.id);
+      entry.name = ride.name;
+
+      for (const key of [`${dayOfWeek}:${slot}`, `all:${slot}`]) {
+        if (!entry.buckets.has(key)) entry.buckets.set(key, new Map());
+        const histogram = entry.buckets.get(key);
+        histogram.set(ride.waitTime, (histogram.get(ride.waitTime) || 0) + 1);
+      }
+    }
+  }
+
+  // Merged histogram for a slotMinutes-wide slot starting at `slot` ([[wait, count]] ascending)
+  waits(entry, day, slot, slotMinutes) {
+    const merged = new Map();
+    for (let start = slot; start < slot + slotMinutes; start += PROFILE_SLOT_MINUTES) {
+      for (const [wait, count] of entry.buckets.get(`${day}:${start}`) || []) {
+        merged.set(wait, (merged.get(wait) || 0) + count);
+      }
+    }
+    const histogram = Array.from(merged.entries()).sort(([a], [b]) => a - b);
+    return { histogram, total: histogram.reduce((sum, [, count]) => sum + count, 0) };
+  }
+}
+
+/**
+ * One WaitProfile per park, rebuilt from the history store when the park's
+ * date changes (so the lookback window slides daily) and fed each new sample
+ * by the recorder in between.
+ */
+class ForecastProfiles {
+  constructor({ historyStore, lookbackWeeks }) {
+    this.historyStore = historyStore;
+    this.lookbackWeeks = lookbackWeeks;
+    this.profiles = new Map(); // park -> { day, profile }
+    this.building = new Map(); // park -> Promise<WaitProfile>
+  }
+
+  async get(park, timeZone, now = new Date()) {
+    const day = parkDate(now, timeZone);
+    const current = this.profiles.get(park);
+    if (current && current.day === day) return current.profile;
+
+    if (!this.building.has(park)) {
+      const build = (async () => {
+        const lookbackStart = new Date(now.getTime() - this.lookbackWeeks * 7 * 24 * 60 * 60 * 1000);
+        const samples = await this.historyStore.read(park, lookbackStart, now);
+        const profile = new WaitProfile({ timeZone });
+        for (const sample of samples) profile.add(sample);
+        this.profiles.set(park, { day, profile });
+        return profile;
+      })();
+      this.building.set(park, build);
+      build.then(() => this.building.delete(park), () => this.building.delete(park));
+    }
+    return this.building.get(park);
+  }
+
+  add(park, sample) {
+    const current = this.profiles.get(park);
+    if (current) current.profile.add(sample);
+  }
+}
+
+/**
+ * Build a per-attraction forecast for the rest of an operating day.
+ * date is the park-local operating day; openingMinutes, closingMinutes and
+ * nowMinutes count from its midnight, so an after-midnight close is past 1440
+ * and "now" at 00:30 during that close is 1470.
+ */
+function buildForecast({
+  profile,
+  timeZone,
+  date,
+  nowMinutes,
+  openingMinutes,
+  closingMinutes,
+  slotMinutes = 30,
+  attractionId
+}) {
+  // First slot starts at whichever is later: opening time or the current slot
+  const firstSlot = Math.max(
+    Math.floor(openingMinutes / slotMinutes) * slotMinutes,
+    Math.floor(nowMinutes / slotMinutes) * slotMinutes
+  );
+
+  const slots = [];
+  for (let slot = firstSlot; slot < closingMinutes; slot += slotMinutes) {
+    slots.push(slot);
+  }
+
+  const entries = Array.from(profile.attractions.values())
+    .filter(entry => !attractionId || entry.id === attractionId);
+
+  const attractions = entries.map(entry => {
+    const forecast = slots.map(slot => {
+      // History is keyed by calendar day, so a post-midnight slot uses the next day's
+      const dayOfWeek = weekdayOf(parkDate(parkMinutesToDate(date, slot, timeZone), timeZone));
+      const bucketSlot = slot % 1440;
+      let basis = 'day_of_week';
+      let { histogram, total } = profile.waits(entry, dayOfWeek, bucketSlot, slotMinutes);
+
+      if (total < MIN_DAY_OF_WEEK_SAMPLES) {
+        basis = 'all_days';
+        ({ histogram, total } = profile.waits(entry, 'all', bucketSlot, slotMinutes));
+      }
+
+      const hasData = total > 0;
+
+      return {
+        ...parkTimestamp(parkMinutesToDate(date, slot, timeZone), timeZone),
+        localTime: formatClock(slot),
+        waitTime: hasData ? Math.round(percentile(histogram, total, 0.5)) : null,
+        low: hasData ? Math.round(percentile(histogram, total, 0.25)) : null,
+        high: hasData ? Math.round(percentile(histogram, total, 0.75)) : null,
+        sampleCount: total,
+        basis: hasData ? basis : null,
+        confidence: hasData ? confidenceLevel(total, basis) : null
+      };
+    });
+
+    const predicted = forecast.filter(slot => slot.waitTime !== null);
+    const bestSlot = predicted.length > 0
+      ? predicted.reduce((best, slot) => (slot.waitTime < best.waitTime ? slot : best))
+      : null;
+
+    return { id: entry.id, name: entry.name, bestSlot, forecast };
+  });
+
+  const opening = parkTimestamp(parkMinutesToDate(date, openingMinutes, timeZone), timeZone);
+  const closing = parkTimestamp(parkMinutesToDate(date, closingMinutes, timeZone), timeZone);
+  return {
+    timeZone,
+    slotMinutes,
+    operatingHours: {
+      openingTime: opening.time,
+      closingTime: closing.time,
+      openingDisplay: opening.display,
+      closingDisplay: closing.display
+    },
+    attractions
+  };
+}
+
+module.exports = {
+  ForecastProfiles,
+  PROFILE_SLOT_MINUTES,
+  WaitProfile,
+  buildForecast
+};
@@ -0,0 +1,119 @@
+// ========== STRUCTURED LOGGING ==========
+// JSON lines on stdout (errors on stderr):
+//   {"time":"...","level":"info","msg":"...","requestId":"...","park":"epcot","durationMs":42}
+//
+// Context set with runWithContext() - the request id for an HTTP request, the
+// job name and id for a background job (runJob) - follows the async call chain via
+// AsyncLocalStorage, so every line logged while handling it carries those
+// fields without threading them through function arguments. addContext()
+// adds fields (e.g. the park once validated) to the current context.
+//
+// Levels: error | warn | info (default) | debug - set from config at startup.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const contextStorage = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+const defaultWrite = (level, line) => {
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+class Logger {
+  constructor({ level = 'info', write = defaultWrite, bindings = {} } = {}) {
+    this.setLevel(level);
+    this.write = write;
+    this.bindings = bindings;
+  }
+
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown log level '${level}' (expected ${LOG_LEVELS.join(', ')})`);
+    this.level = level;
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * fields are merged over the bound and async context fields. An Error in
+   * `err` is serialized with its stack; undefined fields are dropped.
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...contextStorage.getStore(),
+      ...this.bindings,
+      ...fields
+    };
+    if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      // Circular or otherwise unserializable fields shouldn't lose the message
+      line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+    }
+    this.write(level, line);
+  }
+
+  error(msg, fields) { this.log('error', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  debug(msg, fields) { this.log('debug', msg, fields); }
+
+  // Same level and output, with extra fields on every line (e.g. { component })
+  child(bindings) {
+    const child = new Logger({ level: this.level, write: this.write, bindings: { ...this.bindings, ...bindings } });
+    // Level changes on the parent apply to children
+    Object.defineProperty(child, 'level', { get: () => this.level, set: (level) => this.setLevel(level) });
+    return child;
+  }
+}
+
+// Run fn with fields added to (a copy of) the current context
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+// Background work: fn(jobId) runs with { job, jobId } in place of a request id
+function runJob(job, fn) {
+  const jobId = `${job}-${crypto.randomUUID()}`;
+  return runWithContext({ job, jobId }, () => fn(jobId));
+}
+
+function addContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+const logger = new Logger();
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  logger,
+  runWithContext,
+  runJob,
+  addContext,
+  getContext
+};
@@ -0,0 +1,171 @@
+// ========== PROMETHEUS METRICS ==========
+// A small registry of labeled counters, gauges and histograms rendered in the
+// Prometheus text exposition format (version 0.0.4).
+//
+//   const metrics = new MetricsRegistry({ prefix: 'disney_' });
+//   const requests = metrics.counter('requests_total', 'Requests served', ['route']);
+//   requests.inc({ route: '/health' });
+//
+// Values owned elsewhere (cache stats, breaker state) are copied in by
+// collectors, which run just before each render.
+const { logger } = require('./logger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ...state }
+  }
+
+  // Only declared labels, in declared order, so series keys are stable
+  seriesFor(labels = {}, init) {
+    const picked = {};
+    for (const name of this.labelNames) picked[name] = labels[name] ?? '';
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, ...init() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  // For mirroring a cumulative count kept by another component
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns end(extraLabels) which observes the elapsed seconds
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(this.prefix + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  collect(collector) {
+    this.collectors.push(collector);
+  }
+
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector();
+      } catch (error) {
+        logger.error(`❌ Metrics collector failed: ${error.message}`, { err: error });
+      }
+    }
+    return Array.from(this.metrics.values()).flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  MetricsRegistry
+};
@@ -0,0 +1,113 @@
+// ========== NOTIFICATION CHANNELS ==========
+// Every push provider is a channel with the same shape:
+//   {
+//     id,             'expo' | 'fcm'
+//     available(),    false when the provider isn't configured
+//     isValidToken(token),
+//     isRateLimited(token),
+//     send(messages, metas) -> one ticket per message, in order
+//   }
+// messages are provider-neutral { token, title, body, data }; metas carry
+// { userId, kind, historyId } for bookkeeping. Tickets use Expo's shape:
+//   { status: 'ok', id } | { status: 'error', message, details: { error } }
+// with dead tokens reported as details.error = 'DeviceNotRegistered' on
+// every channel.
+const { Expo } = require('expo-server-sdk');
+const { sendPushMessages } = require('./push-batch');
+const { logger } = require('./logger');
+
+const FCM_BATCH_SIZE = 500; // messaging().sendEach limit
+
+// Expo via the batch sender; receipts (and dead tokens) go through the tracker
+function createExpoChannel({ expo, receipts, concurrency }) {
+  return {
+    id: 'expo',
+    available: () => true,
+    isValidToken: (token) => Expo.isExpoPushToken(token),
+    isRateLimited: (token) => receipts.isRateLimited(token),
+
+    async send(messages, metas = []) {
+      const expoMessages = messages.map(({ token, title, body, data }) => ({
+        to: token,
+        sound: 'default',
+        title,
+        body,
+        data
+      }));
+
+      const tickets = await sendPushMessages(expo, expoMessages, { concurrency });
+      tickets.forEach((ticket, index) => receipts.track([expoMessages[index]], [ticket], metas[index] || {}));
+      return tickets;
+    }
+  };
+}
+
+// FCM data values must be strings
+function toFcmData(data = {}) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? value : JSON.stringify(value)
+  ]));
+}
+
+const FCM_DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// Firebase Cloud Messaging; getMessaging() returns null until Firebase is initialized
+function createFcmChannel({ getMessaging, onDeadToken = () => {} }) {
+  return {
+    id: 'fcm',
+    available: () => Boolean(getMessaging()),
+    isValidToken: (token) => typeof token === 'string' && token.length > 0,
+    isRateLimited: () => false,
+
+    async send(messages) {
+      const messaging = getMessaging();
+      if (!messaging) {
+        return messages.map(() => ({
+          status: 'error',
+          message: 'Firebase not initialized',
+          details: { error: 'ChannelUnavailable' }
+        }));
+      }
+
+      const tickets = [];
+      for (let start = 0; start < messages.length; start += FCM_BATCH_SIZE) {
+        const batch = messages.slice(start, start + FCM_BATCH_SIZE);
+        try {
+          const { responses } = await messaging.sendEach(batch.map(({ token, title, body, data }) => ({
+            token,
+            notification: { title, body },
+            data: toFcmData(data)
+          })));
+
+          responses.forEach((response, index) => {
+            if (response.success) {
+              tickets.push({ status: 'ok', id: response.messageId });
+              return;
+            }
+            const code = response.error?.code;
+            const dead = FCM_DEAD_TOKEN_CODES.includes(code);
+            if (dead) onDeadToken(batch[index].token, code);
+            tickets.push({
+              status: 'error',
+              message: response.error?.message,
+              details: { error: dead ? 'DeviceNotRegistered' : code || 'Unknown' }
+            });
+          });
+        } catch (error) {
+          logger.error(`❌ FCM batch failed: ${error.message}`, { channel: 'fcm', err: error });
+          batch.forEach(() => tickets.push({ status: 'error', message: error.message, details: { error: 'SendFailed' } }));
+        }
+      }
+      return tickets;
+    }
+  };
+}
+
+module.exports = {
+  createExpoChannel,
+  createFcmChannel
+};
@@ -0,0 +1,131 @@
+// ========== NOTIFICATION HISTORY ==========
+// Per-user record of every notification that was sent, failed or suppressed,
+// newest last in storage and newest first when listed (the app's inbox).
+//
+// Entry:
+//   {
+//     id, createdAt, read,
+//     kind,        'ride_alert' | 'test'
+//     status,      'pending' | 'sent' | 'failed' | 'suppressed'
+//     title, body, data,          the payload (what would have been sent, if suppressed)
+//     rides,       [{ alertType, attractionId, rideName, parkId, currentWaitTime, isOpen, thresholdTime }]
+//     deliveries,  [{ channel, deviceId, ticketId, ticketStatus, receiptStatus, error }]
+//     reason, detail              why a suppressed alert was skipped
+//   }
+const crypto = require('crypto');
+
+class NotificationHistory {
+  // store: Map of userId -> entries (usually storage.map('notificationHistory'))
+  constructor({ store = new Map(), limit = 200 } = {}) {
+    this.store = store;
+    this.limit = limit;
+
+    // Suppression records written before entries had ids
+    for (const [userId, entries] of this.store.entries()) {
+      if (!entries.some(entry => !entry.id)) continue;
+      this.store.set(userId, entries.map(entry => entry.id ? entry : this.upgradeLegacyEntry(entry)));
+    }
+  }
+
+  upgradeLegacyEntry(entry) {
+    const { at, alertType, attractionId, rideName, parkId, waitTime, isOpen, ...rest } = entry;
+    return {
+      id: crypto.randomUUID(),
+      createdAt: at,
+      read: true,
+      kind: 'ride_alert',
+      title: null,
+      body: null,
+      data: null,
+      rides: [{ alertType, attractionId, rideName, parkId, currentWaitTime: waitTime, isOpen }],
+      deliveries: [],
+      ...rest
+    };
+  }
+
+  save(userId, entries) {
+    this.store.set(userId, entries.slice(-this.limit));
+  }
+
+  record(userId, fields) {
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      // Nothing reached the user, so there's nothing to read
+      read: fields.status === 'suppressed',
+      kind: 'ride_alert',
+      rides: [],
+      deliveries: [],
+      ...fields
+    };
+    this.save(userId, [...(this.store.get(userId) || []), entry]);
+    return entry;
+  }
+
+  find(userId, entryId) {
+    return (this.store.get(userId) || []).find(entry => entry.id === entryId) || null;
+  }
+
+  update(userId, entryId, mutate) {
+    const entry = this.find(userId, entryId);
+    if (!entry) return null;
+    mutate(entry);
+    if (typeof this.store.touch === 'function') this.store.touch(userId);
+    return entry;
+  }
+
+  // Attach per-device ticket results and settle the entry's status
+  recordTickets(userId, entryId, deliveries) {
+    return this.update(userId, entryId, entry => {
+      entry.deliveries.push(...deliveries);
+      entry.status = entry.deliveries.some(delivery => delivery.ticketStatus === 'ok') ? 'sent' : 'failed';
+    });
+  }
+
+  // Later receipt for one ticket ('ok' or the error code)
+  recordReceipt(userId, entryId, ticketId, receipt) {
+    return this.update(userId, entryId, entry => {
+      const delivery = entry.deliveries.find(candidate => candidate.ticketId === ticketId);
+      if (!delivery) return;
+      delivery.receiptStatus = receipt.status;
+      if (receipt.status !== 'ok') delivery.error = receipt.details?.error || receipt.message;
+    });
+  }
+
+  /**
+   * Newest first. Options: { limit, offset, status, unreadOnly }.
+   * Returns { items, total, unread, limit, offset, hasMore }.
+   */
+  list(userId, { limit = 20, offset = 0, status, unreadOnly = false } = {}) {
+    const entries = (this.store.get(userId) || [])
+      .filter(entry => (!status || entry.status === status) && (!unreadOnly || !entry.read))
+      .reverse();
+
+    return {
+      items: entries.slice(offset, offset + limit),
+      total: entries.length,
+      unread: (this.store.get(userId) || []).filter(entry => !entry.read).length,
+      limit,
+      offset,
+      hasMore: offset + limit < entries.length
+    };
+  }
+
+  // ids: array of entry ids, or 'all'
+  markRead(userId, ids) {
+    const entries = this.store.get(userId) || [];
+    let marked = 0;
+    for (const entry of entries) {
+      if (!entry.read && (ids === 'all' || ids.includes(entry.id))) {
+        entry.read = true;
+        marked++;
+      }
+    }
+    if (marked > 0 && typeof this.store.touch === 'function') this.store.touch(userId);
+    return marked;
+  }
+}
+
+module.exports = {
+  NotificationHistory
+};
@@ -0,0 +1,107 @@
+// ========== NOTIFICATION POLICY ==========
+// Decides whether a triggered ride alert may be pushed to a user right now.
+// Rules, in order:
+//   cooldown     - per ride (watch item); item.cooldownMinutes, then
+//                  preferences.cooldownMinutes, then the server default
+//   quiet_hours  - preferences.quietHours { enabled, start, end } in the
+//                  alert's park-local time; windows may wrap midnight
+//   daily_cap    - preferences.maxNotificationsPerDay (FCM's maxPerDay is
+//                  renamed at registration); alerts are counted per park time
+//                  zone, each resetting at its own park-local midnight, and
+//                  the cap applies to their sum
+// Suppressed decisions carry a reason and detail so they can be recorded.
+const { getParkLocalParts, parkDate, parseClockMinutes } = require('./park-time');
+
+// True when minutes (since local midnight) falls inside start..end
+function isWithinWindow(minutes, start, end) {
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end; // e.g. 22:00-08:00
+}
+
+function getDailyCap(preferences = {}) {
+  const parsed = parseInt(preferences.maxNotificationsPerDay);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+class NotificationPolicy {
+  // usageStore: Map of userId -> { [timeZone]: { day, count } } (persisted by the server)
+  constructor({ usageStore = new Map(), cooldownMinutes = 30 } = {}) {
+    this.usageStore = usageStore;
+    this.cooldownMinutes = cooldownMinutes;
+  }
+
+  // Counts still on their time zone's park-local today; older days are dropped
+  currentUsage(userId, now) {
+    return Object.fromEntries(
+      Object.entries(this.usageStore.get(userId) || {})
+        .filter(([timeZone, { day }]) => day === parkDate(now, timeZone))
+    );
+  }
+
+  // Alerts sent today across every time zone, so alternating between resorts
+  // still hits the cap
+  sentToday(userId, now = new Date()) {
+    return Object.values(this.currentUsage(userId, now)).reduce((total, { count }) => total + count, 0);
+  }
+
+  /**
+   * Returns { allowed: true } or { allowed: false, reason, detail }.
+   * timeZone is the park the alert is about.
+   */
+  evaluate(userId, preferences = {}, watchItem = {}, { timeZone, now = new Date() }) {
+    const cooldownMinutes = watchItem.cooldownMinutes ?? preferences.cooldownMinutes ?? this.cooldownMinutes;
+    if (watchItem.lastNotified && cooldownMinutes > 0) {
+      const minutesSince = (now - new Date(watchItem.lastNotified)) / (60 * 1000);
+      if (minutesSince < cooldownMinutes) {
+        return {
+          allowed: false,
+          reason: 'cooldown',
+          detail: `Last alert for this ride was ${Math.round(minutesSince)} min ago (cooldown ${cooldownMinutes} min)`
+        };
+      }
+    }
+
+    const quietHours = preferences.quietHours;
+    if (quietHours && quietHours.enabled !== false) {
+      const start = parseClockMinutes(quietHours.start);
+      const end = parseClockMinutes(quietHours.end);
+      const { minutes } = getParkLocalParts(now, timeZone);
+      if (start !== null && end !== null && isWithinWindow(minutes, start, end)) {
+        return {
+          allowed: false,
+          reason: 'quiet_hours',
+          detail: `Quiet hours ${quietHours.start}-${quietHours.end} (${timeZone})`
+        };
+      }
+    }
+
+    const cap = getDailyCap(preferences);
+    if (cap !== null) {
+      const sent = this.sentToday(userId, now);
+      if (sent >= cap) {
+        return {
+          allowed: false,
+          reason: 'daily_cap',
+          detail: `Already sent ${sent} of ${cap} notifications today across all parks`
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Count a delivered alert toward the user's daily cap under the park's time zone
+  recordSent(userId, { timeZone, now = new Date() }) {
+    const usage = this.currentUsage(userId, now);
+    const count = (usage[timeZone]?.count || 0) + 1;
+    this.usageStore.set(userId, { ...usage, [timeZone]: { day: parkDate(now, timeZone), count } });
+    return this.sentToday(userId, now);
+  }
+}
+
+module.exports = {
+  NotificationPolicy,
+  isWithinWindow
+};
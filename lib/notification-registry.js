@@ -0,0 +1,207 @@
+// ========== NOTIFICATION USERS, DEVICES & WATCHLISTS ==========
+// One model for every push channel:
+//   users:      userId -> { preferences, devices: [device], createdAt }
+//   device:     { id, channel ('expo' | 'fcm'), token, platform, active,
+//                 registeredAt, lastActive, deactivatedAt, deactivationReason,
+//                 credentialIssuedAt }
+//   watchlists: userId -> [watch item]
+//   watch item: { attractionId, rideName, parkId, alertType, thresholdMinutes,
+//                 cooldownMinutes, addedAt, lastNotified, lastObserved,
+//                 lastSuppressed, notificationCount }
+// A user can hold several devices, on either channel; a token belongs to one
+// user at a time (re-registering it under another user moves it).
+// The daily cap is preferences.maxNotificationsPerDay on every channel; the
+// FCM app's maxPerDay is renamed on the way in.
+const crypto = require('crypto');
+
+// Incoming preferences with maxPerDay renamed (an explicit maxNotificationsPerDay wins)
+function normalizePreferences(preferences = {}) {
+  const { maxPerDay, ...rest } = preferences;
+  if (maxPerDay === undefined || rest.maxNotificationsPerDay !== undefined) return rest;
+  return { ...rest, maxNotificationsPerDay: maxPerDay };
+}
+
+class NotificationRegistry {
+  // users / watchlists: Maps (usually PersistentMaps from lib/storage.js)
+  constructor({ users = new Map(), watchlists = new Map(), defaultPreferences = {} } = {}) {
+    this.users = users;
+    this.watchlists = watchlists;
+    this.defaultPreferences = defaultPreferences;
+  }
+
+  // Random, so user ids can't be guessed from registration order
+  newUserId() {
+    return `disney_fan_${crypto.randomUUID()}`;
+  }
+
+  findDevice(userId, deviceId) {
+    const user = this.users.get(userId);
+    return user ? user.devices.find(device => device.id === deviceId) || null : null;
+  }
+
+  findByToken(token) {
+    for (const [userId, user] of this.users.entries()) {
+      const device = user.devices.find(candidate => candidate.token === token);
+      if (device) return { userId, user, device };
+    }
+    return null;
+  }
+
+  /**
+   * Add or refresh a device. userId defaults to the token's current owner,
+   * then to a new generated id. preferences are merged into the user's.
+   */
+  registerDevice({ userId, channel, token, platform, preferences = {} }) {
+    const existing = this.findByToken(token);
+    const targetUserId = userId || (existing && existing.userId) || this.newUserId();
+    const now = new Date().toISOString();
+
+    if (existing && existing.userId !== targetUserId) {
+      existing.user.devices = existing.user.devices.filter(device => device.token !== token);
+      this.users.set(existing.userId, existing.user);
+    }
+
+    const user = this.users.get(targetUserId) || {
+      preferences: { ...this.defaultPreferences },
+      devices: [],
+      createdAt: now
+    };
+    user.preferences = { ...user.preferences, ...normalizePreferences(preferences) };
+
+    let device = user.devices.find(candidate => candidate.token === token);
+    if (!device) {
+      device = { id: crypto.randomUUID(), channel, token, registeredAt: now };
+      user.devices.push(device);
+    }
+    Object.assign(device, {
+      channel,
+      platform: platform || device.platform || 'unknown',
+      active: true,
+      lastActive: now,
+      deactivatedAt: null,
+      deactivationReason: null
+    });
+
+    this.users.set(targetUserId, user);
+    return { userId: targetUserId, user, device };
+  }
+
+  markCredentialIssued(userId, deviceId) {
+    const device = this.findDevice(userId, deviceId);
+    if (!device) return;
+    device.credentialIssuedAt = new Date().toISOString();
+    this.users.set(userId, this.users.get(userId));
+  }
+
+  // Stop sending to a token the channel reported as dead; returns its userId
+  deactivateToken(token, reason) {
+    const found = this.findByToken(token);
+    if (!found || found.device.active === false) return null;
+
+    Object.assign(found.device, {
+      active: false,
+      deactivatedAt: new Date().toISOString(),
+      deactivationReason: reason
+    });
+    this.users.set(found.userId, found.user);
+    return found.userId;
+  }
+
+  activeDevices(userId) {
+    const user = this.users.get(userId);
+    return user ? user.devices.filter(device => device.active !== false) : [];
+  }
+
+  getWatchlist(userId) {
+    return this.watchlists.get(userId) || [];
+  }
+
+  setWatchlist(userId, items) {
+    this.watchlists.set(userId, items);
+  }
+
+  // Persist in-place changes to a user's watch items
+  touchWatchlist(userId) {
+    if (typeof this.watchlists.touch === 'function') this.watchlists.touch(userId);
+  }
+
+  /**
+   * Fold the old per-channel stores into this model:
+   *   expoUserTokens:    userId -> { expoPushToken, platform, preferences, active, ... }
+   *   userTokens (FCM):  userId -> { token, preferences, ... }
+   *   *Watchlists:       userId -> items (FCM items used `threshold`)
+   * Preferences go through registerDevice, so FCM's maxPerDay is renamed.
+   * Legacy maps are cleared afterwards so this only runs once.
+   */
+  migrateLegacy({ expoUserTokens, expoUserWatchlists, userTokens, userWatchlists }) {
+    const counts = { devices: 0, watchItems: 0 };
+
+    const importDevice = (userId, channel, token, record) => {
+      if (!token) return;
+      const { device } = this.registerDevice({
+        userId,
+        channel,
+        token,
+        platform: record.platform,
+        preferences: record.preferences || {}
+      });
+      if (record.active === false) {
+        this.deactivateToken(token, record.deactivationReason || 'inactive before migration');
+      }
+      if (record.registeredAt) device.registeredAt = new Date(record.registeredAt).toISOString();
+      counts.devices++;
+    };
+
+    for (const [userId, record] of expoUserTokens.entries()) importDevice(userId, 'expo', record.expoPushToken, record);
+    for (const [userId, record] of userTokens.entries()) importDevice(userId, 'fcm', record.token, record);
+
+    for (const legacy of [expoUserWatchlists, userWatchlists]) {
+      for (const [userId, items] of legacy.entries()) {
+        const merged = this.getWatchlist(userId);
+        for (const item of items || []) {
+          const { threshold, ...rest } = item;
+          const watchItem = {
+            alertType: 'wait_time_drop',
+            ...rest,
+            thresholdMinutes: item.thresholdMinutes ?? (threshold !== undefined ? parseInt(threshold) : null)
+          };
+          const duplicate = merged.some(existing =>
+            existing.alertType === watchItem.alertType &&
+            (existing.attractionId ? existing.attractionId === watchItem.attractionId : existing.rideName === watchItem.rideName)
+          );
+          if (!duplicate) {
+            merged.push(watchItem);
+            counts.watchItems++;
+          }
+        }
+        this.setWatchlist(userId, merged);
+      }
+    }
+
+    for (const legacy of [expoUserTokens, expoUserWatchlists, userTokens, userWatchlists]) legacy.clear();
+    return counts;
+  }
+
+  stats() {
+    const devices = Array.from(this.users.values()).flatMap(user => user.devices);
+    const byChannel = {};
+    for (const device of devices) {
+      byChannel[device.channel] = byChannel[device.channel] || { active: 0, inactive: 0 };
+      byChannel[device.channel][device.active === false ? 'inactive' : 'active']++;
+    }
+
+    const watchlists = Array.from(this.watchlists.values());
+    return {
+      users: this.users.size,
+      devices: devices.length,
+      inactiveDevices: devices.filter(device => device.active === false).length,
+      byChannel,
+      activeWatchlists: watchlists.filter(items => items.length > 0).length,
+      totalWatchedRides: watchlists.reduce((total, items) => total + items.length, 0)
+    };
+  }
+}
+
+module.exports = {
+  NotificationRegistry
+};
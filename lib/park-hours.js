@@ -0,0 +1,151 @@
+// ========== PARK HOURS CALENDAR ==========
+// A park's schedule as typed entries, one per window - a day with Early Theme
+// Park Entry and a ticketed party has three:
+//   {
+//     date,          park-local operating day, YYYY-MM-DD
+//     type,          a HOURS_TYPES key
+//     name,          HOURS_TYPES label, or the event's own name
+//     openingTime,   ISO 8601 with the park's offset, e.g. 2026-10-19T09:00:00-04:00
+//     closingTime,   (may fall on the next calendar day)
+//     openingDisplay, closingDisplay   guest-facing clock times, e.g. '9:00 AM'
+//   }
+const {
+  addDays,
+  daysBetween,
+  isDateString,
+  parkDate,
+  parkTimeToDate,
+  parkTimestamp
+} = require('./park-time');
+
+const HOURS_TYPES = {
+  operating: 'Park Hours',
+  early_entry: 'Early Theme Park Entry',
+  extended_evening: 'Extended Evening Hours',
+  ticketed_event: 'After-Hours Event',
+  private_event: 'Private Event',
+  special: 'Special Hours'
+};
+
+// ThemeParks.wiki schedule types; EXTRA_HOURS is split into early/evening below
+const THEMEPARKS_WIKI_TYPES = {
+  OPERATING: 'operating',
+  TICKETED_EVENT: 'ticketed_event',
+  PRIVATE_EVENT: 'private_event'
+};
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 62;
+
+// Opening/closing instants -> the timestamp and display fields of an entry
+function hoursWindow(opening, closing, timeZone) {
+  const open = parkTimestamp(opening, timeZone);
+  const close = parkTimestamp(closing, timeZone);
+  return {
+    openingTime: open.time,
+    closingTime: close.time,
+    openingDisplay: open.display,
+    closingDisplay: close.display
+  };
+}
+
+const byOpeningTime = (a, b) => a.date.localeCompare(b.date) || Date.parse(a.openingTime) - Date.parse(b.openingTime);
+
+// Extra hours before the day's regular opening are early entry, after closing extended evening
+function classifyExtraHours(entry, operating) {
+  const description = (entry.description || '').toLowerCase();
+  if (/early/.test(description)) return 'early_entry';
+  if (/evening|extended|late/.test(description)) return 'extended_evening';
+  if (operating) {
+    return Date.parse(entry.openingTime) < Date.parse(operating.openingTime) ? 'early_entry' : 'extended_evening';
+  }
+  return Number(entry.openingTime.slice(11, 13)) < 12 ? 'early_entry' : 'extended_evening';
+}
+
+/**
+ * ThemeParks.wiki `schedule` array -> typed entries. Entries without both
+ * times (CLOSED, INFO) are dropped; timestamps are re-expressed in the park's
+ * zone whatever offset upstream used.
+ */
+function parseThemeParksSchedule(schedule, timeZone) {
+  const timed = schedule
+    .filter(day => day.openingTime && day.closingTime && !isNaN(Date.parse(day.openingTime)) && !isNaN(Date.parse(day.closingTime)))
+    .map(day => {
+      const opening = new Date(day.openingTime);
+      return {
+        date: day.date || parkDate(opening, timeZone),
+        upstreamType: day.type,
+        description: day.description || null,
+        ...hoursWindow(opening, new Date(day.closingTime), timeZone)
+      };
+    });
+
+  return timed.map(entry => {
+    let type = THEMEPARKS_WIKI_TYPES[entry.upstreamType];
+    if (!type && entry.upstreamType === 'EXTRA_HOURS') {
+      const operating = timed.find(other => other.date === entry.date && other.upstreamType === 'OPERATING');
+      type = classifyExtraHours(entry, operating);
+    }
+    type = type || 'special';
+
+    const isEvent = type === 'ticketed_event' || type === 'private_event' || type === 'special';
+    return {
+      date: entry.date,
+      type,
+      name: isEvent && entry.description ? entry.description : HOURS_TYPES[type],
+      openingTime: entry.openingTime,
+      closingTime: entry.closingTime,
+      openingDisplay: entry.openingDisplay,
+      closingDisplay: entry.closingDisplay
+    };
+  }).sort(byOpeningTime);
+}
+
+// One 'operating' entry from park-local HH:MM clocks; closing at or before opening runs past midnight
+function operatingEntry(date, openingClock, closingClock, timeZone) {
+  const closingDate = closingClock <= openingClock ? addDays(date, 1) : date;
+  return {
+    date,
+    type: 'operating',
+    name: HOURS_TYPES.operating,
+    ...hoursWindow(
+      parkTimeToDate(date, openingClock, timeZone),
+      parkTimeToDate(closingDate, closingClock, timeZone),
+      timeZone
+    )
+  };
+}
+
+function datesInRange(start, end) {
+  return Array.from({ length: daysBetween(start, end) + 1 }, (_, index) => addDays(start, index));
+}
+
+const inRange = (entries, start, end) => entries.filter(entry => entry.date >= start && entry.date <= end);
+
+/**
+ * Resolve ?start=&end= (YYYY-MM-DD, inclusive) against the park's today.
+ * Returns { start, end } or { error } for the route to send as a 400.
+ */
+function resolveDateRange({ start, end }, today) {
+  if (start !== undefined && !isDateString(start)) return { error: 'start must be a date (YYYY-MM-DD)' };
+  if (end !== undefined && !isDateString(end)) return { error: 'end must be a date (YYYY-MM-DD)' };
+
+  const rangeStart = start || today;
+  const rangeEnd = end || addDays(rangeStart, DEFAULT_RANGE_DAYS - 1);
+  if (rangeEnd < rangeStart) return { error: 'end must not be before start' };
+  if (daysBetween(rangeStart, rangeEnd) + 1 > MAX_RANGE_DAYS) {
+    return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+  return { start: rangeStart, end: rangeEnd };
+}
+
+module.exports = {
+  DEFAULT_RANGE_DAYS,
+  HOURS_TYPES,
+  MAX_RANGE_DAYS,
+  datesInRange,
+  inRange,
+  operatingEntry,
+  parseThemeParksSchedule,
+  resolveDateRange
+};
@@ -0,0 +1,180 @@
+// ========== PARK-LOCAL TIME ==========
+// Calendar dates and timestamps in a park's own time zone. Parks report hours
+// in local wall-clock time, so "today" and "09:00" only make sense with the
+// park's IANA zone attached - never the server's zone or UTC.
+//
+// Timestamps are ISO 8601 with the park's offset at that instant, e.g.
+// 2026-10-19T09:00:00-04:00, so EDT/EST changes are reflected per date.
+// Anything shown to guests gets a separate display string ('9:00 AM') rather
+// than a timestamp sliced or reformatted by each route.
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function zonedParts(date, timeZone) {
+  return Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+}
+
+// Minutes east of UTC in timeZone at that instant (e.g. -240 for EDT)
+function offsetMinutes(date, timeZone) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+  if (!match) return 0; // Plain "GMT"
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 'YYYY-MM-DD' in the park's zone
+function parkDate(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+// '2026-10-19T09:00:00-04:00' for the instant, in the park's zone
+function toParkIso(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${formatOffset(offsetMinutes(date, timeZone))}`;
+}
+
+// Guest-facing clock time for the instant, e.g. '9:00 PM'
+function formatDisplayTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  }).format(date);
+}
+
+// { time: ISO with the park's offset, display: '9:00 PM' } - the shape routes return
+function parkTimestamp(date, timeZone) {
+  return { time: toParkIso(date, timeZone), display: formatDisplayTime(date, timeZone) };
+}
+
+// Park-local day-of-week (0 = Sunday) and minutes since midnight
+function getParkLocalParts(date, timeZone) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(weekday),
+    minutes: Number(hour) * 60 + Number(minute)
+  };
+}
+
+// Accepts "09:00", "9:00 AM" or an ISO timestamp and returns minutes since midnight
+// (an ISO timestamp is read at its own offset, which for park times is the park's)
+function parseClockMinutes(value) {
+  if (!value) return null;
+  const text = String(value);
+
+  const isoMatch = text.match(/T(\d{2}):(\d{2})/);
+  if (isoMatch) return Number(isoMatch[1]) * 60 + Number(isoMatch[2]);
+
+  const clockMatch = text.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!clockMatch) return null;
+
+  let hours = Number(clockMatch[1]) % 24;
+  const meridiem = clockMatch[3] && clockMatch[3].toUpperCase();
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  return hours * 60 + Number(clockMatch[2]);
+}
+
+/**
+ * The instant a park-local wall-clock time happens: ('2026-11-01', '09:00',
+ * 'America/New_York'). Times skipped by a spring-forward gap resolve to the
+ * later offset; repeated fall-back times resolve to the first occurrence.
+ */
+function parkTimeToDate(dateString, clock, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = clock.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try the offsets in force a day either side; a candidate is exact when the
+  // zone really has that offset at that instant
+  const candidates = [-86400000, 86400000].map(shift =>
+    wallClockAsUtc - offsetMinutes(new Date(wallClockAsUtc + shift), timeZone) * 60000
+  );
+  const exact = candidates.filter(instant =>
+    offsetMinutes(new Date(instant), timeZone) * 60000 === wallClockAsUtc - instant
+  );
+  return new Date(exact.length ? Math.min(...exact) : Math.max(...candidates));
+}
+
+// Midnight in the park's zone on the park's current date, as a Date
+function startOfParkDay(timeZone, now = new Date()) {
+  return parkTimeToDate(parkDate(now, timeZone), '00:00', timeZone);
+}
+
+/**
+ * Minutes past the start of a park-local date -> the instant. Minutes of 1440
+ * or more land on the following days, so a 25:00 slot is 01:00 tomorrow.
+ */
+function parkMinutesToDate(dateString, minutes, timeZone) {
+  return parkTimeToDate(addDays(dateString, Math.floor(minutes / 1440)), formatClock(minutes), timeZone);
+}
+
+// Minutes since midnight -> 'HH:MM' (wraps past midnight)
+function formatClock(minutes) {
+  const normalized = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+}
+
+// True for a real calendar date written as YYYY-MM-DD
+function isDateString(value) {
+  const match = typeof value === 'string' && DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings (no time zone involved)
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Day of week (0 = Sunday) of a YYYY-MM-DD calendar date
+function weekdayOf(dateString) {
+  return new Date(`${dateString}T12:00:00Z`).getUTCDay();
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+}
+
+module.exports = {
+  addDays,
+  daysBetween,
+  formatClock,
+  formatDisplayTime,
+  getParkLocalParts,
+  isDateString,
+  offsetMinutes,
+  parkDate,
+  parkMinutesToDate,
+  parkTimeToDate,
+  parkTimestamp,
+  parseClockMinutes,
+  startOfParkDay,
+  toParkIso,
+  weekdayOf
+};
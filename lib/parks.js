@@ -0,0 +1,193 @@
+// ========== RESORT & PARK REGISTRY ==========
+// Single source of truth for every supported park. Park slugs are globally
+// unique, so caches, history and watchlists can keep keying on the slug alone.
+//
+// Per park:
+//   queueTimesId   - https://queue-times.com/parks/{id}
+//   themeParksWiki - { park: slug used under /destinations/{destination}/parks/, entityId: v1 entity uuid }
+//   typicalHours   - used when live park hours are unavailable
+
+const resorts = {
+  wdw: {
+    id: 'wdw',
+    name: 'Walt Disney World Resort',
+    timeZone: 'America/New_York',
+    themeParksWikiDestination: 'WaltDisneyWorld',
+    parks: {
+      'magic-kingdom': {
+        name: 'Magic Kingdom',
+        queueTimesId: 6,
+        themeParksWiki: { park: 'magickingdom', entityId: '75ea578a-adc8-4116-a54d-dccb60765ef9' },
+        typicalHours: { open: '09:00', close: '23:00' }
+      },
+      'epcot': {
+        name: 'EPCOT',
+        queueTimesId: 5,
+        themeParksWiki: { park: 'epcot', entityId: '47f90d2c-e191-4239-a466-5892ef59a88b' },
+        typicalHours: { open: '09:00', close: '21:00' }
+      },
+      'hollywood-studios': {
+        name: "Disney's Hollywood Studios",
+        queueTimesId: 7,
+        themeParksWiki: { park: 'hollywoodstudios', entityId: '288747d1-8b4f-4a64-867e-ea7c9b27bad8' },
+        typicalHours: { open: '09:00', close: '21:00' }
+      },
+      'animal-kingdom': {
+        name: "Disney's Animal Kingdom",
+        queueTimesId: 8,
+        themeParksWiki: { park: 'animalkingdom', entityId: '1c84a229-8862-4648-9c71-378ddd2c7693' },
+        typicalHours: { open: '08:00', close: '20:00' }
+      }
+    }
+  },
+  dlr: {
+    id: 'dlr',
+    name: 'Disneyland Resort',
+    timeZone: 'America/Los_Angeles',
+    themeParksWikiDestination: 'DisneylandResort',
+    parks: {
+      'disneyland': {
+        name: 'Disneyland Park',
+        queueTimesId: 16,
+        themeParksWiki: { park: 'disneyland', entityId: '7340550b-c14d-4def-80bb-acdb51d49a66' },
+        typicalHours: { open: '08:00', close: '23:00' }
+      },
+      'california-adventure': {
+        name: 'Disney California Adventure',
+        queueTimesId: 17,
+        themeParksWiki: { park: 'disneycaliforniaadventure', entityId: '832fcd51-ea19-4e77-85c7-75d5843b127c' },
+        typicalHours: { open: '08:00', close: '22:00' }
+      }
+    }
+  },
+  dlp: {
+    id: 'dlp',
+    name: 'Disneyland Paris',
+    timeZone: 'Europe/Paris',
+    themeParksWikiDestination: 'DisneylandParis',
+    parks: {
+      'disneyland-paris': {
+        name: 'Disneyland Park',
+        queueTimesId: 4,
+        themeParksWiki: { park: 'disneylandparkparis', entityId: 'dae968d5-630d-4719-8b06-3d107e944401' },
+        typicalHours: { open: '09:30', close: '22:00' }
+      },
+      'walt-disney-studios': {
+        name: 'Walt Disney Studios Park',
+        queueTimesId: 28,
+        themeParksWiki: { park: 'waltdisneystudiospark', entityId: 'ca888437-ebb4-4d50-aed2-d227f7096968' },
+        typicalHours: { open: '09:30', close: '21:00' }
+      }
+    }
+  },
+  tdr: {
+    id: 'tdr',
+    name: 'Tokyo Disney Resort',
+    timeZone: 'Asia/Tokyo',
+    themeParksWikiDestination: 'TokyoDisneyResort',
+    parks: {
+      'tokyo-disneyland': {
+        name: 'Tokyo Disneyland',
+        queueTimesId: 274,
+        themeParksWiki: { park: 'tokyodisneyland', entityId: '3cc919f1-d16d-43e0-8c3f-1dd269bd1a42' },
+        typicalHours: { open: '09:00', close: '21:00' }
+      },
+      'tokyo-disneysea': {
+        name: 'Tokyo DisneySea',
+        queueTimesId: 275,
+        themeParksWiki: { park: 'tokyodisneysea', entityId: '67b290d5-3478-4f23-b601-2f8fb71ba803' },
+        typicalHours: { open: '09:00', close: '21:00' }
+      }
+    }
+  },
+  hkdl: {
+    id: 'hkdl',
+    name: 'Hong Kong Disneyland Resort',
+    timeZone: 'Asia/Hong_Kong',
+    themeParksWikiDestination: 'HongKongDisneyland',
+    parks: {
+      'hong-kong-disneyland': {
+        name: 'Hong Kong Disneyland',
+        queueTimesId: 31,
+        themeParksWiki: { park: 'hongkongdisneyland', entityId: 'bd0eb47b-2f02-4d4d-90fa-cb3a68988e3b' },
+        typicalHours: { open: '10:00', close: '21:00' }
+      }
+    }
+  },
+  shdr: {
+    id: 'shdr',
+    name: 'Shanghai Disney Resort',
+    timeZone: 'Asia/Shanghai',
+    themeParksWikiDestination: 'ShanghaiDisneyResort',
+    parks: {
+      'shanghai-disneyland': {
+        name: 'Shanghai Disneyland',
+        queueTimesId: 30,
+        themeParksWiki: { park: 'shanghaidisneyland', entityId: 'ddc4357c-c148-4b36-9888-07894fe75e83' },
+        typicalHours: { open: '08:30', close: '20:30' }
+      }
+    }
+  }
+};
+
+const DEFAULT_RESORT = 'wdw';
+
+// Flatten into slug -> park with its resort context attached
+const parks = {};
+for (const resort of Object.values(resorts)) {
+  for (const [slug, park] of Object.entries(resort.parks)) {
+    if (parks[slug]) {
+      throw new Error(`Duplicate park slug in registry: ${slug}`);
+    }
+    parks[slug] = {
+      ...park,
+      slug,
+      resort: resort.id,
+      timeZone: park.timeZone || resort.timeZone,
+      themeParksWiki: { destination: resort.themeParksWikiDestination, ...park.themeParksWiki }
+    };
+  }
+}
+
+// Own properties only, so ids like "constructor" or "__proto__" are unknown
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function getResort(resortId) {
+  return hasOwn(resorts, resortId) ? resorts[resortId] : null;
+}
+
+function getPark(slug) {
+  return hasOwn(parks, slug) ? parks[slug] : null;
+}
+
+function getResortParks(resortId) {
+  const resort = getResort(resortId);
+  return resort ? Object.keys(resort.parks) : [];
+}
+
+function getAllParks() {
+  return Object.keys(parks);
+}
+
+// Public summary for the resorts listing endpoint
+function describeResorts() {
+  return Object.values(resorts).map(resort => ({
+    id: resort.id,
+    name: resort.name,
+    timeZone: resort.timeZone,
+    parks: Object.keys(resort.parks).map(slug => ({
+      id: slug,
+      name: parks[slug].name,
+      timeZone: parks[slug].timeZone
+    }))
+  }));
+}
+
+module.exports = {
+  DEFAULT_RESORT,
+  getResort,
+  getPark,
+  getResortParks,
+  getAllParks,
+  describeResorts
+};
@@ -0,0 +1,61 @@
+// ========== BATCHED PUSH SENDING ==========
+// Sends a cycle's worth of Expo messages in chunks (expo.chunkPushNotifications
+// keeps each request within Expo's 100-message limit), at most `concurrency`
+// chunks in flight. The SDK already retries 429s; network errors and 5xx
+// responses are retried here with exponential backoff. A chunk that still
+// fails gets error tickets so callers can treat every message uniformly.
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// No status code means the request never got a response (timeout, reset, DNS)
+function isTransientPushError(error) {
+  return !error.statusCode || error.statusCode >= 500;
+}
+
+async function sendChunkWithRetry(expo, chunk, { retries, retryDelayMs }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await expo.sendPushNotificationsAsync(chunk);
+    } catch (error) {
+      if (attempt >= retries || !isTransientPushError(error)) throw error;
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn(`🔁 Push chunk failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${retries})`, { err: error });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Send messages and resolve to one ticket per message, in the same order.
+ * Failed chunks produce { status: 'error', message, details: { error: 'SendFailed' } }.
+ */
+async function sendPushMessages(expo, messages, { concurrency = 4, retries = 2, retryDelayMs = 1000 } = {}) {
+  const chunks = expo.chunkPushNotifications(messages);
+  const results = new Array(chunks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      try {
+        results[index] = await sendChunkWithRetry(expo, chunks[index], { retries, retryDelayMs });
+      } catch (error) {
+        logger.error(`❌ Push chunk ${index + 1}/${chunks.length} failed: ${error.message}`, { err: error });
+        results[index] = chunks[index].map(() => ({
+          status: 'error',
+          message: error.message,
+          details: { error: 'SendFailed' }
+        }));
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+  return results.flat();
+}
+
+module.exports = {
+  sendPushMessages,
+  isTransientPushError
+};
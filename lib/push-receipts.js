@@ -0,0 +1,161 @@
+// ========== EXPO PUSH RECEIPTS ==========
+// sendPushNotificationsAsync only returns tickets ("accepted by Expo"). The
+// actual delivery outcome is a receipt, available some minutes later by
+// ticket id. This tracker keeps ok tickets in a persisted store, polls their
+// receipts in chunks, and reports dead tokens (DeviceNotRegistered) and
+// per-device rate limiting (MessageRateExceeded) back to the server.
+//
+// Pending entry: ticketId -> { token, userId, kind, historyId, sentAt }
+const { logger, runJob } = require('./logger');
+
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;      // Expo: receipts are ready after ~15 minutes
+const RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Expo drops receipts after a day
+const RATE_LIMIT_BACKOFF_MS = 15 * 60 * 1000;
+
+class PushReceiptTracker {
+  constructor({
+    expo,
+    pendingStore = new Map(),
+    onDeadToken = () => {},
+    onReceipt = () => {},
+    receiptDelayMs = RECEIPT_DELAY_MS,
+    maxAgeMs = RECEIPT_MAX_AGE_MS,
+    rateLimitBackoffMs = RATE_LIMIT_BACKOFF_MS
+  }) {
+    this.expo = expo;
+    this.pending = pendingStore;
+    this.onDeadToken = onDeadToken;
+    this.onReceipt = onReceipt;
+    this.receiptDelayMs = receiptDelayMs;
+    this.maxAgeMs = maxAgeMs;
+    this.rateLimitBackoffMs = rateLimitBackoffMs;
+    this.rateLimitedTokens = new Map(); // token -> backoff end (ms)
+    this.running = false;
+    this.counters = {
+      ticketsOk: 0,
+      ticketErrors: {},
+      delivered: 0,
+      receiptErrors: {},
+      expired: 0,
+      deadTokens: 0,
+      rateLimited: 0
+    };
+    this.lastRun = null;
+    this.lastError = null;
+  }
+
+  // Handle one error detail from either a ticket or a receipt
+  handleError(counterName, token, details = {}, message) {
+    const code = details.error || 'Unknown';
+    this.counters[counterName][code] = (this.counters[counterName][code] || 0) + 1;
+
+    if (code === 'DeviceNotRegistered') {
+      this.counters.deadTokens++;
+      this.onDeadToken(token, message);
+    } else if (code === 'MessageRateExceeded') {
+      this.counters.rateLimited++;
+      this.rateLimitedTokens.set(token, Date.now() + this.rateLimitBackoffMs);
+    }
+  }
+
+  /**
+   * Record the tickets returned for messages (same order, as Expo returns them).
+   * meta: { userId, kind, historyId } stored with each pending ticket.
+   */
+  track(messages, tickets, meta = {}) {
+    tickets.forEach((ticket, index) => {
+      const token = messages[index] && messages[index].to;
+      if (ticket.status === 'ok') {
+        this.counters.ticketsOk++;
+        this.pending.set(ticket.id, {
+          token,
+          userId: meta.userId || null,
+          kind: meta.kind || 'ride_alert',
+          historyId: meta.historyId || null,
+          sentAt: new Date().toISOString()
+        });
+      } else {
+        this.handleError('ticketErrors', token, ticket.details, ticket.message);
+      }
+    });
+  }
+
+  isRateLimited(token) {
+    const until = this.rateLimitedTokens.get(token);
+    if (!until) return false;
+    if (Date.now() >= until) {
+      this.rateLimitedTokens.delete(token);
+      return false;
+    }
+    return true;
+  }
+
+  // Fetch receipts for tickets old enough to have one
+  async processReceipts() {
+    if (this.running) return;
+    this.running = true;
+    const now = Date.now();
+
+    try {
+      const due = [];
+      for (const [ticketId, entry] of this.pending.entries()) {
+        const age = now - Date.parse(entry.sentAt);
+        if (age > this.maxAgeMs) {
+          this.pending.delete(ticketId);
+          this.counters.expired++;
+        } else if (age >= this.receiptDelayMs) {
+          due.push(ticketId);
+        }
+      }
+
+      for (const chunk of this.expo.chunkPushNotificationReceiptIds(due)) {
+        try {
+          const receipts = await this.expo.getPushNotificationReceiptsAsync(chunk);
+
+          for (const [ticketId, receipt] of Object.entries(receipts)) {
+            const entry = this.pending.get(ticketId);
+            if (!entry) continue;
+            this.pending.delete(ticketId);
+
+            if (receipt.status === 'ok') {
+              this.counters.delivered++;
+            } else {
+              logger.warn(`📭 Push receipt error for ${entry.userId || 'unknown user'}: ${receipt.details?.error || receipt.message}`, { userId: entry.userId });
+              this.handleError('receiptErrors', entry.token, receipt.details, receipt.message);
+            }
+            this.onReceipt(entry, ticketId, receipt);
+          }
+          // Ids missing from the response aren't ready yet and stay pending
+        } catch (error) {
+          // Leave the chunk pending and try again next run
+          this.lastError = { message: error.message, at: new Date().toISOString() };
+          logger.error(`❌ Failed to fetch push receipts: ${error.message}`, { err: error });
+        }
+      }
+
+      this.lastRun = new Date().toISOString();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start(intervalMs) {
+    const timer = setInterval(() => runJob('push-receipts', () => this.processReceipts()), intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      pendingReceipts: this.pending.size,
+      rateLimitedDevices: Array.from(this.rateLimitedTokens.keys()).filter(token => this.isRateLimited(token)).length,
+      lastRun: this.lastRun,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  PushReceiptTracker
+};
@@ -0,0 +1,126 @@
+// ========== RIDE ALERT TYPES ==========
+// Each watchlist item has an alertType. Level alerts (wait_time_drop) fire
+// whenever the condition holds; transition alerts compare the ride with what
+// the previous monitoring cycle saw, stored on the item as lastObserved:
+//   { waitTime, isOpen, parkOperating, observedAt }
+// parkOperating (any attraction open) keeps rides closing at night or opening
+// in the morning from looking like breakdowns and reopenings.
+
+const DEFAULT_ALERT_TYPE = 'wait_time_drop';
+
+const ALERT_TYPES = {
+  // Wait at or below the threshold
+  wait_time_drop: {
+    needsThreshold: true,
+    describe: ({ rideName, thresholdMinutes }) => `notify when ${rideName} drops to ${thresholdMinutes} minutes or less`,
+    shouldAlert: ({ ride, thresholdMinutes }) =>
+      ride.isOpen && ride.waitTime !== null && ride.waitTime <= thresholdMinutes,
+    copy: ({ rideName, ride, thresholdMinutes }) => ({
+      title: `🎢 ${rideName} Alert!`,
+      body: `${rideName} is now ${ride.waitTime} minutes! (Target: ${thresholdMinutes} min)`
+    })
+  },
+
+  // Ride came back after going down while the park was open
+  ride_reopened: {
+    needsThreshold: false,
+    describe: ({ rideName }) => `notify when ${rideName} reopens after going down`,
+    shouldAlert: ({ ride, previous }) =>
+      Boolean(previous) && previous.parkOperating && !previous.isOpen && ride.isOpen,
+    copy: ({ rideName, ride }) => ({
+      title: `✅ ${rideName} is back open!`,
+      body: ride.waitTime !== null
+        ? `${rideName} has reopened - current wait is ${ride.waitTime} minutes.`
+        : `${rideName} has reopened.`
+    })
+  },
+
+  // Open ride closed while the rest of the park is still operating
+  ride_down: {
+    needsThreshold: false,
+    describe: ({ rideName }) => `notify if ${rideName} goes down during the day`,
+    shouldAlert: ({ ride, previous, parkOperating }) =>
+      Boolean(previous) && previous.isOpen && !ride.isOpen && parkOperating,
+    copy: ({ rideName }) => ({
+      title: `⚠️ ${rideName} is temporarily down`,
+      body: `${rideName} just closed unexpectedly. We'll keep watching it for you.`
+    })
+  },
+
+  // Wait climbed from below the threshold to at or above it - for guests
+  // already in line elsewhere who planned to ride this next
+  wait_rising: {
+    needsThreshold: true,
+    describe: ({ rideName, thresholdMinutes }) => `notify when ${rideName} climbs to ${thresholdMinutes} minutes or more`,
+    shouldAlert: ({ ride, previous, thresholdMinutes }) =>
+      Boolean(previous) && ride.isOpen && previous.waitTime !== null && ride.waitTime !== null &&
+      previous.waitTime < thresholdMinutes && ride.waitTime >= thresholdMinutes,
+    copy: ({ rideName, ride, previous }) => ({
+      title: `📈 ${rideName} wait is climbing`,
+      body: `${rideName} went from ${previous.waitTime} to ${ride.waitTime} minutes. Head there next before it climbs further!`
+    })
+  }
+};
+
+function isValidAlertType(alertType) {
+  return Object.prototype.hasOwnProperty.call(ALERT_TYPES, alertType);
+}
+
+// Snapshot stored on the watch item for the next cycle's comparison
+function observeRide(ride, parkOperating, now = new Date()) {
+  return {
+    waitTime: typeof ride.waitTime === 'number' ? ride.waitTime : null,
+    isOpen: Boolean(ride.isOpen),
+    parkOperating,
+    observedAt: now.toISOString()
+  };
+}
+
+/**
+ * Decide whether watchItem's alert fires for ride this cycle.
+ * Unknown or missing alert types behave like wait_time_drop. An observation
+ * older than maxObservationAgeMs (e.g. from last night, or before an outage)
+ * is ignored so transitions are only detected between consecutive cycles.
+ */
+function evaluateAlert(watchItem, ride, { parkOperating, now = new Date(), maxObservationAgeMs = Infinity }) {
+  const alertType = isValidAlertType(watchItem.alertType) ? watchItem.alertType : DEFAULT_ALERT_TYPE;
+  const previous = watchItem.lastObserved &&
+    now - Date.parse(watchItem.lastObserved.observedAt) <= maxObservationAgeMs
+    ? watchItem.lastObserved
+    : null;
+  const context = {
+    ride: { ...ride, waitTime: typeof ride.waitTime === 'number' ? ride.waitTime : null },
+    previous,
+    parkOperating,
+    thresholdMinutes: watchItem.thresholdMinutes
+  };
+  return { alertType, triggered: ALERT_TYPES[alertType].shouldAlert(context) };
+}
+
+function buildAlertCopy(watchItem, ride) {
+  const alertType = isValidAlertType(watchItem.alertType) ? watchItem.alertType : DEFAULT_ALERT_TYPE;
+  return ALERT_TYPES[alertType].copy({
+    rideName: watchItem.rideName,
+    ride,
+    previous: watchItem.lastObserved || null,
+    thresholdMinutes: watchItem.thresholdMinutes
+  });
+}
+
+// Several rides triggered for one user in the same cycle
+function buildGroupedCopy(copies) {
+  return {
+    title: `🎢 ${copies.length} ride alerts`,
+    body: copies.map(copy => `• ${copy.body}`).join('\n')
+  };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DEFAULT_ALERT_TYPE,
+  isValidAlertType,
+  observeRide,
+  evaluateAlert,
+  buildAlertCopy,
+  buildGroupedCopy
+};
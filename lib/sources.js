@@ -0,0 +1,203 @@
+// ========== UPSTREAM SOURCE ADAPTER REGISTRY ==========
+// Every upstream endpoint is an adapter:
+//   {
+//     id,        unique adapter id, e.g. 'queue_times_wait_times'
+//     kind,      'waitTimes' | 'parkHours' | 'entertainment'
+//     source,    label reported to clients, e.g. 'queue_times'
+//     buildUrl,  (park) => url, or null when the source can't serve that park
+//     parse,     (data, park) => parsed result; throw or return null to fall through
+//     priority,  lower runs first
+//     timeout,   per-attempt timeout in ms
+//     retries,   extra attempts inside fetchWithRetry
+//     enabled
+//   }
+// Each adapter gets its own circuit breaker, so one flaky source is skipped
+// quickly without tripping the others. onFetch({ adapter, durationMs, outcome })
+// is called after every attempt, with outcome 'success', 'error',
+// 'parse_error' or 'breaker_open'. defaultTimeout and retryDelayMs should match
+// the fetcher's own defaults so breaker budgets cover every attempt.
+const CircuitBreaker = require('opossum');
+const { logger } = require('./logger');
+
+const DATA_KINDS = ['waitTimes', 'parkHours', 'entertainment'];
+
+// Fill {placeholders} in config-defined URL templates from the park registry entry
+function expandUrlTemplate(template, parkInfo) {
+  const values = {
+    park: parkInfo.slug,
+    resort: parkInfo.resort,
+    queueTimesId: parkInfo.queueTimesId,
+    themeParksWikiDestination: parkInfo.themeParksWiki.destination,
+    themeParksWikiPark: parkInfo.themeParksWiki.park,
+    entityId: parkInfo.themeParksWiki.entityId
+  };
+
+  let missing = false;
+  const url = template.replace(/\{(\w+)\}/g, (_, key) => {
+    if (values[key] === undefined || values[key] === null) missing = true;
+    return values[key];
+  });
+  return missing ? null : url;
+}
+
+function createSourceRegistry({
+  fetcher,
+  getParkInfo,
+  parsers = {},
+  defaultTimeout = 8000,
+  retryDelayMs = 2000,
+  breakerOptions = {},
+  onFetch = () => {}
+}) {
+  const adapters = new Map();
+
+  function register(definition) {
+    if (!definition.id) throw new Error('Source adapter needs an id');
+    if (!DATA_KINDS.includes(definition.kind)) {
+      throw new Error(`Source ${definition.id} has unknown kind: ${definition.kind}`);
+    }
+    if (typeof definition.buildUrl !== 'function' || typeof definition.parse !== 'function') {
+      throw new Error(`Source ${definition.id} needs buildUrl and parse functions`);
+    }
+
+    // Config-defined adapters pass undefined for fields they don't set
+    const provided = Object.fromEntries(
+      Object.entries(definition).filter(([, value]) => value !== undefined)
+    );
+    const adapter = {
+      source: definition.id,
+      priority: 10,
+      timeout: defaultTimeout,
+      retries: 0,
+      enabled: true,
+      ...provided
+    };
+
+    // Budget the breaker for every attempt plus the sleeps between them
+    adapter.budgetMs = adapter.timeout * (adapter.retries + 1) + retryDelayMs * adapter.retries;
+    adapter.breaker = new CircuitBreaker(
+      (url, requestId) => fetcher(url, { timeout: adapter.timeout, requestId }, adapter.retries),
+      {
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        ...breakerOptions,
+        timeout: adapter.budgetMs,
+        name: adapter.id
+      }
+    );
+
+    adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  // Apply a { [adapterId]: overrides } object. Known ids are tweaked
+  // (enabled, priority, timeout, retries); unknown ids with kind/url/parser
+  // define a brand new adapter that reuses a named parser.
+  function configure(overrides = {}) {
+    for (const [id, override] of Object.entries(overrides)) {
+      const existing = adapters.get(id);
+
+      if (existing) {
+        for (const field of ['enabled', 'priority', 'timeout', 'retries']) {
+          if (override[field] !== undefined) existing[field] = override[field];
+        }
+        if (override.timeout !== undefined || override.retries !== undefined) {
+          // Re-register so the breaker timeout reflects the new budget
+          const { breaker, ...definition } = existing;
+          breaker.shutdown();
+          register(definition);
+        }
+        continue;
+      }
+
+      if (!override.url || !override.parser) {
+        throw new Error(`Source ${id} is not a built-in adapter and needs url and parser`);
+      }
+      const parser = parsers[override.parser];
+      if (!parser) {
+        throw new Error(`Source ${id} uses unknown parser: ${override.parser}`);
+      }
+
+      register({
+        id,
+        kind: override.kind,
+        source: override.source || id,
+        priority: override.priority,
+        timeout: override.timeout,
+        retries: override.retries,
+        enabled: override.enabled,
+        buildUrl: (park) => {
+          const parkInfo = getParkInfo(park);
+          return parkInfo ? expandUrlTemplate(override.url, parkInfo) : null;
+        },
+        parse: parser
+      });
+    }
+  }
+
+  function list(kind) {
+    return Array.from(adapters.values())
+      .filter(adapter => adapter.kind === kind && adapter.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  // Worst case for fetch(kind): every enabled source used up its whole budget
+  function budget(kind) {
+    return list(kind).reduce((total, adapter) => total + adapter.budgetMs, 0);
+  }
+
+  // Try each enabled source for the kind in priority order until one parses
+  async function fetch(kind, park, requestId) {
+    const attempts = [];
+
+    for (const adapter of list(kind)) {
+      const url = adapter.buildUrl(park);
+      if (!url) continue;
+
+      const startedAt = Date.now();
+      let fetched = false;
+      try {
+        const response = await adapter.breaker.fire(url, requestId);
+        fetched = true;
+        const parsed = adapter.parse(response.data, park);
+        if (parsed === null || parsed === undefined) {
+          throw new Error('Parser returned no data');
+        }
+        onFetch({ adapter, durationMs: Date.now() - startedAt, outcome: 'success' });
+        return { data: parsed, source: adapter.source, adapterId: adapter.id, url };
+      } catch (error) {
+        const outcome = fetched ? 'parse_error' : error.code === 'EOPENBREAKER' ? 'breaker_open' : 'error';
+        onFetch({ adapter, durationMs: Date.now() - startedAt, outcome });
+        logger.warn(`❌ Failed source: ${adapter.id} (${url}) - ${error.message}`, { park, source: adapter.id, durationMs: Date.now() - startedAt, err: error });
+        attempts.push({ source: adapter.id, error: error.message });
+      }
+    }
+
+    const error = new Error(`All ${kind} sources failed`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  function describe() {
+    return Array.from(adapters.values())
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.priority - b.priority)
+      .map(adapter => ({
+        id: adapter.id,
+        kind: adapter.kind,
+        source: adapter.source,
+        priority: adapter.priority,
+        timeout: adapter.timeout,
+        retries: adapter.retries,
+        enabled: adapter.enabled,
+        breakerState: adapter.breaker.opened ? 'open' : adapter.breaker.halfOpen ? 'half-open' : 'closed'
+      }));
+  }
+
+  return { register, configure, list, budget, fetch, describe };
+}
+
+module.exports = {
+  DATA_KINDS,
+  createSourceRegistry,
+  expandUrlTemplate
+};
@@ -0,0 +1,170 @@
+// ========== PERSISTENT STORAGE LAYER ==========
+// Keeps device registrations, watchlists and notification state alive across
+// restarts. Each collection is exposed as a Map so route handlers keep using
+// get/set/delete, while an adapter decides where the entries actually live.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ========== ADAPTERS ==========
+// An adapter only needs two methods:
+//   load(namespace)          -> array of [key, value] entries (sync, at startup)
+//   save(namespace, entries) -> Promise, called with the full entry list
+
+// In-memory adapter - nothing survives a restart (used by tests)
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = new Map();
+  }
+
+  load(namespace) {
+    return this.data.get(namespace) || [];
+  }
+
+  async save(namespace, entries) {
+    // Round-trip through JSON so stored values behave like the file adapter
+    this.data.set(namespace, JSON.parse(JSON.stringify(entries)));
+  }
+}
+
+// File adapter - one JSON file per namespace, written atomically
+class FileStorageAdapter {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir || './data');
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  filePath(namespace) {
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  load(namespace) {
+    const file = this.filePath(namespace);
+    if (!fs.existsSync(file)) return [];
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(parsed.entries) ? parsed.entries : [];
+    } catch (error) {
+      logger.error(`❌ Failed to load ${file}: ${error.message}`, { err: error });
+      return [];
+    }
+  }
+
+  async save(namespace, entries) {
+    const file = this.filePath(namespace);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const payload = JSON.stringify({ savedAt: new Date().toISOString(), entries });
+
+    // Write to a temp file first so a crash mid-write never corrupts the store
+    await fs.promises.writeFile(tmpFile, payload, 'utf8');
+    await fs.promises.rename(tmpFile, file);
+  }
+}
+
+// ========== PERSISTENT MAP ==========
+// A Map that schedules a save whenever it changes. Values that are mutated in
+// place (e.g. watchItem.lastNotified) must be followed by touch(key).
+class PersistentMap extends Map {
+  constructor(namespace, adapter, { flushDelay = 1000 } = {}) {
+    super();
+    this.namespace = namespace;
+    this.adapter = adapter;
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.pendingFlush = null;
+
+    for (const [key, value] of adapter.load(namespace)) {
+      super.set(key, value);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleFlush();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  touch(key) {
+    if (this.has(key)) this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        logger.error(`❌ Failed to persist ${this.namespace}: ${error.message}`, { namespace: this.namespace, err: error });
+      });
+    }, this.flushDelay);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Serialize writes so an older snapshot never overwrites a newer one
+    const previous = this.pendingFlush || Promise.resolve();
+    const current = previous
+      .catch(() => {})
+      .then(() => this.adapter.save(this.namespace, Array.from(this.entries())));
+    this.pendingFlush = current;
+    return current;
+  }
+}
+
+// ========== FACTORY ==========
+function createStorage({ adapter = 'file', dir } = {}) {
+  let storageAdapter;
+
+  if (adapter && typeof adapter === 'object') {
+    storageAdapter = adapter;
+  } else if (adapter === 'memory') {
+    storageAdapter = new MemoryStorageAdapter();
+  } else if (adapter === 'file') {
+    storageAdapter = new FileStorageAdapter(dir);
+  } else {
+    throw new Error(`Unknown storage adapter: ${adapter}`);
+  }
+
+  const collections = new Map();
+
+  return {
+    adapter: storageAdapter,
+
+    map(namespace, options) {
+      if (!collections.has(namespace)) {
+        collections.set(namespace, new PersistentMap(namespace, storageAdapter, options));
+      }
+      return collections.get(namespace);
+    },
+
+    async flushAll() {
+      await Promise.all(Array.from(collections.values()).map(collection => collection.flush()));
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  PersistentMap,
+  MemoryStorageAdapter,
+  FileStorageAdapter
+};
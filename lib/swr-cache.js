@@ -0,0 +1,194 @@
+// ========== STALE-WHILE-REVALIDATE CACHE ==========
+// Like NodeCache (get/set/keys/flushAll/getStats), but an expired entry is
+// kept as "stale" for up to maxStale seconds. getOrRefresh() serves a stale
+// value immediately and refreshes it in the background, so only a cold miss
+// ever waits on upstream. Emits 'set' (key, value) whenever a value is stored.
+const { EventEmitter } = require('events');
+const { logger, runJob } = require('./logger');
+
+class SwrCache extends EventEmitter {
+  constructor({ name, stdTTL, maxStale = 24 * 60 * 60, pruneInterval = 600 } = {}) {
+    super();
+    this.name = name;
+    this.stdTTL = Number(stdTTL);
+    this.maxStale = Number(maxStale);
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, staleHits: 0, refreshes: 0, refreshFailures: 0 };
+
+    this.pruneTimer = setInterval(() => this.prune(), pruneInterval * 1000);
+    this.pruneTimer.unref();
+  }
+
+  // Entry even if stale; drops it once past the stale window
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() > entry.expiresAt + this.maxStale * 1000) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() <= entry.expiresAt;
+  }
+
+  ageSeconds(entry) {
+    return entry ? Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)) : 0;
+  }
+
+  // NodeCache-compatible: only fresh values
+  get(key) {
+    const entry = this.getEntry(key);
+    if (this.isFresh(entry)) {
+      this.stats.hits++;
+      return entry.value;
+    }
+    this.stats.misses++;
+    return undefined;
+  }
+
+  // Last good value regardless of TTL (undefined once past maxStale)
+  getStale(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : undefined;
+  }
+
+  set(key, value, ttl = this.stdTTL) {
+    const now = Date.now();
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + Number(ttl) * 1000 });
+    this.emit('set', key, value);
+    return true;
+  }
+
+  del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  keys() {
+    return Array.from(this.entries.keys()).filter(key => this.getEntry(key));
+  }
+
+  flushAll() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return { ...this.stats, keys: this.keys().length, inFlight: this.inFlight.size };
+  }
+
+  prune() {
+    for (const key of this.entries.keys()) this.getEntry(key);
+  }
+
+  // True when the entry is missing or will expire within leadSeconds
+  needsRefresh(key, leadSeconds = 0) {
+    const entry = this.getEntry(key);
+    return !entry || entry.expiresAt - Date.now() <= leadSeconds * 1000;
+  }
+
+  /**
+   * Run loader once per key at a time and store its result.
+   * shouldCache(value) lets callers refuse results (e.g. fallback data) so the
+   * last good value survives; a null/undefined result is never cached.
+   */
+  refresh(key, loader, { shouldCache = () => true } = {}) {
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (value !== null && value !== undefined && shouldCache(value)) {
+          this.set(key, value);
+        }
+        this.stats.refreshes++;
+        return value;
+      } catch (error) {
+        this.stats.refreshFailures++;
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Resolve { value, status: 'fresh' | 'stale' | 'miss', ageSeconds }.
+   * Stale values trigger a background refresh; misses wait for the loader.
+   */
+  async getOrRefresh(key, loader, options = {}) {
+    const entry = this.getEntry(key);
+
+    if (this.isFresh(entry)) {
+      this.stats.hits++;
+      return { value: entry.value, status: 'fresh', ageSeconds: this.ageSeconds(entry) };
+    }
+
+    if (entry) {
+      this.stats.staleHits++;
+      this.refresh(key, loader, options).catch(error => {
+        logger.warn(`⚠️ Background refresh failed for ${this.name}:${key} - ${error.message}`, { cache: this.name, key, err: error });
+      });
+      return { value: entry.value, status: 'stale', ageSeconds: this.ageSeconds(entry) };
+    }
+
+    this.stats.misses++;
+    const value = await this.refresh(key, loader, options);
+    return { value, status: 'miss', ageSeconds: 0 };
+  }
+}
+
+// ========== BACKGROUND REFRESH SCHEDULER ==========
+// Every intervalMs, re-load any task whose entry is missing or within
+// leadFraction of its TTL, so user requests keep landing on fresh data.
+// task: { cache, key, load: (jobId) => Promise, shouldCache }. Each tick runs
+// as one 'prewarm' job for log correlation.
+function startRefreshScheduler({ tasks, intervalMs = 60 * 1000, leadFraction = 0.25 }) {
+  let running = false;
+
+  const tick = async (jobId) => {
+    if (running) return; // A slow upstream shouldn't stack ticks
+    running = true;
+    let refreshed = 0;
+
+    try {
+      for (const task of tasks()) {
+        const leadSeconds = task.cache.stdTTL * leadFraction;
+        if (!task.cache.needsRefresh(task.key, leadSeconds)) continue;
+
+        try {
+          await task.cache.refresh(task.key, () => task.load(jobId), { shouldCache: task.shouldCache });
+          refreshed++;
+        } catch (error) {
+          logger.warn(`⚠️ Pre-warm failed for ${task.cache.name}:${task.key} - ${error.message}`, { cache: task.cache.name, key: task.key, err: error });
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    if (refreshed > 0) {
+      logger.info(`🔥 Pre-warmed ${refreshed} cache entries`, { refreshed });
+    }
+  };
+
+  const run = () => runJob('prewarm', tick);
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  setImmediate(run);
+
+  return {
+    tick: run,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  SwrCache,
+  startRefreshScheduler
+};
@@ -0,0 +1,68 @@
+// ========== THEMEPARKIQ CHARACTER SCHEDULE PARSER ==========
+// The schedule page lists every Walt Disney World park on one page, each in
+// its own .character-schedule-container with a park-name heading. Parsing is
+// kept separate from fetching so it can run against saved HTML fixtures.
+const cheerio = require('cheerio');
+
+const THEMEPARKIQ_SCHEDULE_URL = 'https://www.themeparkiq.com/disneyworld/character/schedule';
+
+// Heading keyword -> park slug (matched against the lowercased heading text)
+const PARK_HEADINGS = [
+  { keyword: 'magic kingdom', park: 'magic-kingdom', name: 'Magic Kingdom' },
+  { keyword: 'epcot', park: 'epcot', name: 'EPCOT' },
+  { keyword: 'hollywood studios', park: 'hollywood-studios', name: "Disney's Hollywood Studios" },
+  { keyword: 'animal kingdom', park: 'animal-kingdom', name: "Disney's Animal Kingdom" }
+];
+
+const THEMEPARKIQ_PARKS = PARK_HEADINGS.map(heading => heading.park);
+
+function matchParkHeading(text) {
+  const key = text.toLowerCase();
+  return PARK_HEADINGS.find(heading => key.includes(heading.keyword)) || null;
+}
+
+/**
+ * Parse the full schedule page into { [parkSlug]: characterMeet[] }.
+ * Every supported park gets a key, even when its section is missing.
+ */
+function parseCharacterSchedule(html) {
+  const $ = cheerio.load(html);
+  const byPark = Object.fromEntries(THEMEPARKIQ_PARKS.map(park => [park, []]));
+
+  $('.character-schedule-container').each((_, container) => {
+    const heading = matchParkHeading($(container).find('h2, h3').first().text().trim());
+    if (!heading) return;
+
+    $(container).find('.character-card, .character-schedule').each((_, card) => {
+      const name = $(card).find('.character-name').text().trim();
+      const location = $(card).find('.character-location').text().trim();
+      const times = [];
+
+      $(card).find('.character-time-slot, .character-time, .time').each((_, slot) => {
+        const timeText = $(slot).text().trim();
+        if (timeText) times.push(timeText);
+      });
+
+      if (name) {
+        byPark[heading.park].push({
+          id: `live_${name.replace(/\W+/g, '_').toLowerCase()}`,
+          name,
+          type: 'character_meet',
+          times: times.length ? times : ['Check Times'],
+          location: location || heading.name,
+          characters: [name],
+          source: 'theme_park_iq',
+          duration: 20
+        });
+      }
+    });
+  });
+
+  return byPark;
+}
+
+module.exports = {
+  THEMEPARKIQ_SCHEDULE_URL,
+  THEMEPARKIQ_PARKS,
+  parseCharacterSchedule
+};
@@ -0,0 +1,111 @@
+// ========== UPSTREAM RECORD / REPLAY ==========
+// Every outbound GET to Queue-Times, ThemeParks.wiki and ThemeParkIQ goes
+// through this client. Modes (UPSTREAM_MODE, or the --record/--replay flags):
+//   live    plain axios
+//   record  live, and each response (including HTTP error statuses) is saved
+//           as a fixture
+//   replay  fixtures only, never the network. A URL with no fixture fails with
+//           code EFIXTUREMISSING, like an unreachable host, so sources fall
+//           through and fallbacks kick in exactly as they would live
+//
+// One fixture per URL, at <dir>/<host>/<path slug>-<hash>.json:
+//   { url, status, statusText, headers: { 'content-type' }, recordedAt, data }
+// Fixtures are plain JSON so they can be trimmed or hand-edited.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+const FIXTURE_MISSING = 'EFIXTUREMISSING';
+
+const defaultValidateStatus = (status) => status >= 200 && status < 300;
+
+function fixturePath(dir, url) {
+  const { hostname, pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'root';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return path.join(dir, hostname, `${slug}-${hash}.json`);
+}
+
+// Mirrors axios: a status failing validateStatus rejects with error.response set
+function settle(url, response, validateStatus = defaultValidateStatus) {
+  if (validateStatus(response.status)) return response;
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.response = response;
+  error.config = { url };
+  throw error;
+}
+
+function createUpstreamHttp({ mode = 'live', dir, get = axios.get } = {}) {
+  if (!UPSTREAM_MODES.includes(mode)) throw new Error(`Unknown upstream mode '${mode}'`);
+  if (mode !== 'live' && !dir) throw new Error(`Upstream ${mode} mode needs a fixtures directory`);
+
+  async function record(url, response) {
+    const file = fixturePath(dir, url);
+    const fixture = {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: { 'content-type': response.headers?.['content-type'] || null },
+      recordedAt: new Date().toISOString(),
+      data: response.data
+    };
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+      logger.info(`📼 Recorded fixture for ${url}`, { url, file });
+    } catch (error) {
+      logger.error(`❌ Could not record fixture for ${url}: ${error.message}`, { url, err: error });
+    }
+  }
+
+  async function replay(url, options) {
+    const file = fixturePath(dir, url);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      const missing = new Error(error.code === 'ENOENT'
+        ? `No recorded fixture for ${url}`
+        : `Unreadable fixture ${file}: ${error.message}`);
+      missing.code = FIXTURE_MISSING;
+      throw missing;
+    }
+
+    logger.debug(`📼 Replaying fixture for ${url}`, { url });
+    return settle(url, {
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: fixture.headers || {},
+      data: fixture.data
+    }, options.validateStatus);
+  }
+
+  return {
+    mode,
+
+    async get(url, options = {}) {
+      if (mode === 'replay') return replay(url, options);
+      if (mode === 'live') return get(url, options);
+
+      try {
+        const response = await get(url, options);
+        await record(url, response);
+        return response;
+      } catch (error) {
+        // HTTP error statuses are worth replaying; network errors aren't
+        if (error.response) await record(url, error.response);
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_MISSING,
+  UPSTREAM_MODES,
+  createUpstreamHttp,
+  fixturePath
+};
@@ -0,0 +1,202 @@
+// ========== WAIT TIME HISTORY STORE ==========
+// Time-series of wait time snapshots, one sample per park per recording run.
+// A sample looks like:
+//   { time: ISO string, source, attractions: [{ id, name, waitTime, isOpen }] }
+const fs = require('fs');
+const path = require('path');
+const { toParkIso } = require('./park-time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62; // Longest from/to span a history read may cover
+
+// UTC day key used to shard samples (YYYY-MM-DD)
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  const cursor = new Date(`${dayKey(from)}T00:00:00.000Z`);
+  const end = new Date(to).getTime();
+  while (cursor.getTime() <= end) {
+    days.push(dayKey(cursor));
+    cursor.setTime(cursor.getTime() + DAY_MS);
+  }
+  return days;
+}
+
+function inRange(sample, from, to) {
+  const time = new Date(sample.time).getTime();
+  return time >= new Date(from).getTime() && time <= new Date(to).getTime();
+}
+
+// ========== ADAPTERS ==========
+// In-memory history - used by tests and STORAGE_ADAPTER=memory
+class MemoryHistoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.samples = new Map();
+  }
+
+  async append(park, sample) {
+    if (!this.samples.has(park)) this.samples.set(park, []);
+    this.samples.get(park).push(JSON.parse(JSON.stringify(sample)));
+  }
+
+  async read(park, from, to) {
+    return (this.samples.get(park) || []).filter(sample => inRange(sample, from, to));
+  }
+
+  async prune(park, before) {
+    const cutoff = new Date(before).getTime();
+    const kept = (this.samples.get(park) || []).filter(sample => new Date(sample.time).getTime() >= cutoff);
+    this.samples.set(park, kept);
+  }
+}
+
+// File history - append-only JSON lines, one file per park per UTC day
+class FileHistoryStore {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir || './data/history');
+  }
+
+  parkDir(park) {
+    return path.join(this.dir, park);
+  }
+
+  async append(park, sample) {
+    const dir = this.parkDir(park);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(
+      path.join(dir, `${dayKey(sample.time)}.jsonl`),
+      `${JSON.stringify(sample)}\n`,
+      'utf8'
+    );
+  }
+
+  async read(park, from, to) {
+    const samples = [];
+
+    for (const day of daysBetween(from, to)) {
+      const file = path.join(this.parkDir(park), `${day}.jsonl`);
+      let contents;
+      try {
+        contents = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const line of contents.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const sample = JSON.parse(line);
+          if (inRange(sample, from, to)) samples.push(sample);
+        } catch (error) {
+          // A torn last line from a crash mid-append - skip it
+          continue;
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  async prune(park, before) {
+    const cutoffDay = dayKey(before);
+    let files;
+    try {
+      files = await fs.promises.readdir(this.parkDir(park));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(files
+      .filter(file => file.endsWith('.jsonl') && file.replace('.jsonl', '') < cutoffDay)
+      .map(file => fs.promises.unlink(path.join(this.parkDir(park), file))));
+  }
+}
+
+function createHistoryStore({ adapter = 'file', dir } = {}) {
+  if (adapter && typeof adapter === 'object') return adapter;
+  if (adapter === 'memory') return new MemoryHistoryStore();
+  if (adapter === 'file') return new FileHistoryStore(dir);
+  throw new Error(`Unknown history adapter: ${adapter}`);
+}
+
+// ========== QUERYING ==========
+function matchesAttraction(attraction, query) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return attraction.id.toLowerCase() === needle || attraction.name.toLowerCase().includes(needle);
+}
+
+// Average samples into fixed buckets of intervalMinutes per attraction; with a
+// timeZone, bucket times carry the park's offset instead of UTC
+function downsample(samples, { attraction, intervalMinutes = 15, timeZone } = {}) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const series = new Map();
+
+  for (const sample of samples) {
+    const bucketStart = Math.floor(new Date(sample.time).getTime() / intervalMs) * intervalMs;
+
+    for (const ride of sample.attractions || []) {
+      if (!matchesAttraction(ride, attraction)) continue;
+
+      if (!series.has(ride.id)) {
+        series.set(ride.id, { id: ride.id, name: ride.name, buckets: new Map() });
+      }
+      const entry = series.get(ride.id);
+      entry.name = ride.name;
+
+      if (!entry.buckets.has(bucketStart)) {
+        entry.buckets.set(bucketStart, { waitTotal: 0, openSamples: 0, samples: 0 });
+      }
+      const bucket = entry.buckets.get(bucketStart);
+      bucket.samples++;
+      if (ride.isOpen) {
+        bucket.waitTotal += ride.waitTime || 0;
+        bucket.openSamples++;
+      }
+    }
+  }
+
+  return Array.from(series.values()).map(({ id, name, buckets }) => ({
+    id,
+    name,
+    points: Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([bucketStart, bucket]) => ({
+        time: timeZone ? toParkIso(new Date(bucketStart), timeZone) : new Date(bucketStart).toISOString(),
+        // Closed samples carry a meaningless 0 wait, so only average open ones
+        waitTime: bucket.openSamples > 0 ? Math.round(bucket.waitTotal / bucket.openSamples) : null,
+        isOpen: bucket.openSamples > 0,
+        samples: bucket.samples
+      }))
+  }));
+}
+
+// Strip an upstream wait times payload down to what the history needs
+function toHistorySample(waitTimesData, time = new Date()) {
+  return {
+    time: new Date(time).toISOString(),
+    source: waitTimesData.source,
+    attractions: (waitTimesData.attractions || []).map(ride => ({
+      id: ride.id,
+      name: ride.name,
+      waitTime: ride.waitTime,
+      isOpen: ride.isOpen
+    }))
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  createHistoryStore,
+  MemoryHistoryStore,
+  FileHistoryStore,
+  downsample,
+  toHistorySample
+};
@@ -0,0 +1,144 @@
+// ========== WAIT TIME STREAMING (SERVER-SENT EVENTS) ==========
+// Clients subscribe per park and get a full snapshot on connect, then only
+// the attractions whose wait or open status changed whenever the server
+// refreshes that park. Recent events are buffered so a reconnect with
+// Last-Event-ID replays what was missed instead of re-sending everything.
+//
+// Event ids look like "<bootId>-<seq>"; an id from a previous process (or one
+// that has aged out of the buffer) gets a fresh snapshot instead.
+
+function attractionChanged(previous, current) {
+  return !previous || previous.waitTime !== current.waitTime || previous.isOpen !== current.isOpen;
+}
+
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+class WaitTimeStream {
+  constructor({ bufferSize = 100, heartbeatMs = 25000, retryMs = 5000 } = {}) {
+    this.bootId = Date.now().toString(36);
+    this.bufferSize = bufferSize;
+    this.retryMs = retryMs;
+    this.parks = new Map();
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  parkState(park) {
+    if (!this.parks.has(park)) {
+      this.parks.set(park, { seq: 0, baseline: null, buffer: [], clients: new Set() });
+    }
+    return this.parks.get(park);
+  }
+
+  currentId(park) {
+    return `${this.bootId}-${this.parkState(park).seq}`;
+  }
+
+  // Called with every fresh wait times payload the server stores for a park
+  publish(park, waitTimesData) {
+    const state = this.parkState(park);
+    const attractions = waitTimesData.attractions || [];
+    const previous = state.baseline;
+    state.baseline = new Map(attractions.map(ride => [ride.id, ride]));
+
+    const data = {
+      park,
+      source: waitTimesData.source,
+      lastUpdated: waitTimesData.lastUpdated
+    };
+
+    let event = 'snapshot';
+    if (previous) {
+      const changed = attractions.filter(ride => attractionChanged(previous.get(ride.id), ride));
+      const removed = Array.from(previous.keys()).filter(id => !state.baseline.has(id));
+      if (changed.length === 0 && removed.length === 0) return null;
+      event = 'update';
+      Object.assign(data, { changed, removed });
+    } else {
+      data.attractions = attractions;
+    }
+
+    state.seq++;
+    const message = { id: this.currentId(park), seq: state.seq, event, data };
+
+    state.buffer.push(message);
+    if (state.buffer.length > this.bufferSize) state.buffer.shift();
+
+    for (const res of state.clients) writeEvent(res, message);
+    return message;
+  }
+
+  // Events after lastEventId, or null when a full snapshot is needed
+  missedEvents(park, lastEventId) {
+    if (!lastEventId) return null;
+    const [bootId, seqText] = String(lastEventId).split('-');
+    const seq = Number(seqText);
+    const state = this.parkState(park);
+
+    if (bootId !== this.bootId || isNaN(seq) || seq > state.seq) return null;
+    if (seq === state.seq) return [];
+
+    const oldestBuffered = state.buffer.length ? state.buffer[0].seq : state.seq + 1;
+    if (seq + 1 < oldestBuffered) return null;
+    return state.buffer.filter(message => message.seq > seq);
+  }
+
+  /**
+   * Attach an SSE response. getSnapshot() resolves the park's current wait
+   * times and is only called when the client can't resume from the buffer.
+   */
+  async subscribe(park, req, res, { lastEventId, getSnapshot }) {
+    const state = this.parkState(park);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Render/nginx: don't buffer the stream
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const missed = this.missedEvents(park, lastEventId);
+    if (missed) {
+      for (const message of missed) writeEvent(res, message);
+    } else {
+      const snapshot = await getSnapshot();
+      writeEvent(res, {
+        id: this.currentId(park),
+        event: 'snapshot',
+        data: {
+          park,
+          source: snapshot?.source || 'unavailable',
+          lastUpdated: snapshot?.lastUpdated || new Date().toISOString(),
+          attractions: snapshot?.attractions || []
+        }
+      });
+    }
+
+    // The client may have gone away while the snapshot was loading
+    if (res.writableEnded || req.destroyed) return;
+
+    state.clients.add(res);
+    req.on('close', () => state.clients.delete(res));
+  }
+
+  heartbeat() {
+    const comment = `: heartbeat ${new Date().toISOString()}\n\n`;
+    for (const state of this.parks.values()) {
+      for (const res of state.clients) res.write(comment);
+    }
+  }
+
+  stats() {
+    return Object.fromEntries(Array.from(this.parks.entries())
+      .filter(([, state]) => state.clients.size > 0 || state.seq > 0)
+      .map(([park, state]) => [park, { clients: state.clients.size, lastEventId: this.currentId(park) }]));
+  }
+}
+
+module.exports = {
+  WaitTimeStream
+};
@@ -1,16 +1,95 @@
 // Production-Ready Disney Data Proxy Server v3.4 - WITH FIXED ENTERTAINMENT DATA
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const helmet = require('helmet');
-const cheerio = require('cheerio');
 const CircuitBreaker = require('opossum');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
 const { Expo } = require('expo-server-sdk');
 require('dotenv').config();
+const { logger, runWithContext, runJob, addContext } = require('./lib/logger');
+const { loadConfig, redactConfig, parseCorsOrigin } = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const {
+  MAX_RANGE_DAYS: MAX_HISTORY_RANGE_DAYS,
+  createHistoryStore,
+  downsample,
+  toHistorySample
+} = require('./lib/wait-time-history');
+const { ForecastProfiles, PROFILE_SLOT_MINUTES, buildForecast } = require('./lib/forecast');
+const {
+  addDays,
+  formatClock,
+  getParkLocalParts,
+  parkDate,
+  parkMinutesToDate,
+  parkTimestamp,
+  parseClockMinutes,
+  startOfParkDay,
+  toParkIso
+} = require('./lib/park-time');
+const {
+  datesInRange,
+  inRange,
+  operatingEntry,
+  parseThemeParksSchedule,
+  resolveDateRange
+} = require('./lib/park-hours');
+const {
+  THEMEPARKIQ_SCHEDULE_URL,
+  THEMEPARKIQ_PARKS,
+  parseCharacterSchedule
+} = require('./lib/themeparkiq');
+const {
+  DEFAULT_RESORT,
+  getResort,
+  getPark,
+  getResortParks,
+  getAllParks,
+  describeResorts
+} = require('./lib/parks');
+const { createSourceRegistry } = require('./lib/sources');
+const { createUpstreamHttp, FIXTURE_MISSING } = require('./lib/upstream-http');
+const { SwrCache, startRefreshScheduler } = require('./lib/swr-cache');
+const { WaitTimeStream } = require('./lib/wait-time-stream');
+const { AttractionCatalog } = require('./lib/attractions');
+const attractionSeed = require('./lib/attraction-seed');
+const {
+  ALERT_TYPES,
+  DEFAULT_ALERT_TYPE,
+  isValidAlertType,
+  observeRide,
+  evaluateAlert,
+  buildAlertCopy,
+  buildGroupedCopy
+} = require('./lib/ride-alerts');
+const { NotificationPolicy } = require('./lib/notification-policy');
+const { PushReceiptTracker } = require('./lib/push-receipts');
+const { NotificationRegistry } = require('./lib/notification-registry');
+const { NotificationHistory } = require('./lib/notification-history');
+const { createExpoChannel, createFcmChannel } = require('./lib/notification-channels');
+const { DeviceCredentials, parseBearer } = require('./lib/device-credentials');
+const { AdminAuth, AdminAuditLog } = require('./lib/admin-auth');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+
+// ========== CONFIGURATION ==========
+// Env vars and the optional CONFIG_FILE, validated before anything starts
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  for (const problem of error.errors || [error.message]) {
+    logger.error(`❌ Config: ${problem}`);
+  }
+  logger.error('❌ Refusing to start with invalid configuration');
+  process.exit(1);
+}
+logger.setLevel(config.logging.level);
+if (config.meta.file) logger.info(`⚙️ Loaded config file ${config.meta.file}`);
+
 const app = express();
 
 // ========== ENHANCED SECURITY & MIDDLEWARE ==========
@@ -33,24 +112,78 @@ app.use(helmet({
 app.use(express.json({ limit: '10mb' }));
 
 // Request ID Middleware (CRITICAL for debugging)
+// Everything logged while handling the request carries its requestId
 app.use((req, res, next) => {
   req.id = uuidv4();
   res.setHeader('X-Request-ID', req.id);
-  console.log(`📝 ${req.method} ${req.path} - Request ID: ${req.id}`);
+  const startedAt = Date.now();
+  const path = req.path; // Before mounted routers rewrite it
+  res.on('finish', () => {
+    logger.info(`📝 ${req.method} ${path} ${res.statusCode}`, {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  runWithContext({ requestId: req.id }, next);
+});
+
+// ========== METRICS ==========
+// Exposed in Prometheus format at /metrics; collectors for cache and breaker
+// state are registered next to that route
+const metrics = new MetricsRegistry({ prefix: 'disney_' });
+
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by route',
+  ['method', 'route', 'status_code']
+);
+const upstreamFetchDuration = metrics.histogram(
+  'upstream_fetch_duration_seconds',
+  'Upstream fetch latency by source adapter and outcome (success, error, parse_error, breaker_open)',
+  ['source', 'kind', 'outcome'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30]
+);
+const monitoringCycleDuration = metrics.histogram(
+  'monitoring_cycle_duration_seconds',
+  'Duration of ride alert monitoring cycles',
+  ['outcome'],
+  [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+const pushNotificationsTotal = metrics.counter(
+  'push_notifications_total',
+  'Push messages per device by channel, kind and outcome (sent, failed)',
+  ['channel', 'kind', 'outcome']
+);
+const alertsSuppressedTotal = metrics.counter(
+  'ride_alerts_suppressed_total',
+  'Triggered ride alerts not pushed, by reason',
+  ['reason']
+);
+
+// Routes are labeled by their pattern (the first one for multi-path routes),
+// so /api/disney/wait-times/epcot and /magic-kingdom share a series
+app.use((req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + [].concat(req.route.path)[0] : '(unmatched)';
+    endTimer({ route, status_code: res.statusCode });
+  });
   next();
 });
 
+// Count ticket outcomes for messages sent through a notification channel
+function countPushTickets(channel, kind, tickets) {
+  for (const ticket of tickets) {
+    pushNotificationsTotal.inc({ channel, kind, outcome: ticket.status === 'ok' ? 'sent' : 'failed' });
+  }
+}
+
 // Enhanced CORS with Production Domains
 app.use(cors({
-  origin: [
-    'http://localhost:8081',
-    'https://pixiepal-app.vercel.app',
-    /^https:\/\/.*\.vercel\.app$/,
-    /^exp:\/\/.*/, // Expo development
-    /^https:\/\/.*\.netlify\.app$/,
-    'https://pixiepal.app'
-  ],
-  credentials: true,
+  origin: config.cors.origins.map(parseCorsOrigin),
+  credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Data-Freshness']
 }));
@@ -59,14 +192,14 @@ app.use(cors({
 // Initialize Firebase Admin (for sending push notifications)
 let firebaseInitialized = false;
 try {
-  if (process.env.FIREBASE_PRIVATE_KEY && !admin.apps.length) {
+  if (config.firebase.privateKey && !admin.apps.length) {
     const serviceAccount = {
       type: "service_account",
-      project_id: "pixie-pal-notifications",
-      private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-      private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      client_email: process.env.FIREBASE_CLIENT_EMAIL,
-      client_id: process.env.FIREBASE_CLIENT_ID,
+      project_id: config.firebase.projectId,
+      private_key_id: config.firebase.privateKeyId,
+      private_key: config.firebase.privateKey.replace(/\\n/g, '\n'),
+      client_email: config.firebase.clientEmail,
+      client_id: config.firebase.clientId,
       auth_uri: "https://accounts.google.com/o/oauth2/auth",
       token_uri: "https://oauth2.googleapis.com/token",
       auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs"
@@ -77,33 +210,139 @@ try {
     });
     
     firebaseInitialized = true;
-    console.log('🔥 Firebase Admin initialized for push notifications');
+    logger.info('🔥 Firebase Admin initialized for push notifications');
   } else {
-    console.log('⚠️ Firebase Admin not initialized - missing environment variables');
+    logger.warn('⚠️ Firebase Admin not initialized - missing environment variables');
   }
 } catch (error) {
-  console.error('❌ Firebase Admin initialization failed:', error.message);
+  logger.error('❌ Firebase Admin initialization failed', { err: error });
+}
+
+// ========== PERSISTENT STORAGE ==========
+// STORAGE_ADAPTER=file (default) keeps data in STORAGE_DIR, =memory for tests
+const STORAGE_ADAPTER = config.storage.adapter;
+const STORAGE_DIR = config.storage.dir;
+
+const storage = createStorage({ adapter: STORAGE_ADAPTER, dir: STORAGE_DIR });
+logger.info(`💽 Storage adapter: ${storage.adapter.name}`);
+
+// Persistent storage for notification system: users with devices on any
+// channel (FCM or Expo) and one shared watchlist model
+const notificationRegistry = new NotificationRegistry({
+  users: storage.map('notificationUsers'),
+  watchlists: storage.map('watchlists'),
+  defaultPreferences: {
+    maxNotificationsPerDay: 6,
+    quietHours: { enabled: true, start: '22:00', end: '08:00' }
+  }
+});
+// Every sent, failed or suppressed notification per user (the in-app inbox)
+const NOTIFICATION_HISTORY_LIMIT = 200; // Per user, newest kept
+const notificationHistory = new NotificationHistory({
+  store: storage.map('notificationHistory'),
+  limit: NOTIFICATION_HISTORY_LIMIT
+});
+
+// Separate FCM and Expo stores from before the shared model - folded in once
+const legacyNotificationStores = {
+  userTokens: storage.map('userTokens'),
+  userWatchlists: storage.map('userWatchlists'),
+  expoUserTokens: storage.map('expoUserTokens'),
+  expoUserWatchlists: storage.map('expoUserWatchlists')
+};
+if (Object.values(legacyNotificationStores).some(store => store.size > 0)) {
+  const migrated = notificationRegistry.migrateLegacy(legacyNotificationStores);
+  logger.info(`🔀 Migrated ${migrated.devices} devices and ${migrated.watchItems} watch items to the shared notification model`);
+}
+
+// ========== DEVICE CREDENTIALS ==========
+// Signs the credentials handed out at registration. Without DEVICE_CREDENTIAL_SECRET
+// a generated secret is kept in storage, so credentials survive restarts but
+// not a wiped data directory.
+const serverSecrets = storage.map('serverSecrets');
+if (!config.deviceCredentials.secret && !serverSecrets.has('deviceCredentials')) {
+  serverSecrets.set('deviceCredentials', crypto.randomBytes(32).toString('hex'));
+  logger.warn('⚠️ DEVICE_CREDENTIAL_SECRET not set - generated a device credential secret in storage');
+}
+const deviceCredentials = new DeviceCredentials({
+  secret: config.deviceCredentials.secret || serverSecrets.get('deviceCredentials')
+});
+
+// ========== ADMIN AUTH ==========
+// API keys with roles (viewer < operator < admin) for cache, debug and other
+// operational routes; every admin request is written to the audit log
+const adminAuth = new AdminAuth({
+  keys: config.admin.apiKeys || [], // Parsed and validated by lib/config.js
+  audit: new AdminAuditLog({
+    store: storage.map('adminAudit'),
+    retentionDays: config.admin.auditRetentionDays
+  })
+});
+const requireAdmin = (role) => adminAuth.require(role);
+
+if (!adminAuth.enabled) {
+  logger.warn('⚠️ ADMIN_API_KEYS not set - admin routes are disabled');
 }
 
-// In-memory storage for notification system
-const userWatchlists = new Map();
-const userTokens = new Map();
-const notificationHistory = new Map();
-// ========== EXPO PUSH INITIALIZATION ==========
+// ========== PUSH CHANNELS ==========
 const expo = new Expo();
 
-// In-memory storage for Expo push tokens (separate from Firebase)
-const expoUserTokens = new Map();
-const expoUserWatchlists = new Map();
-// ========== ENHANCED CACHING SYSTEM ==========
-const CACHE_TTL_PARK_HOURS = process.env.CACHE_TTL_PARK_HOURS || 3600; // 1 hour
-const CACHE_TTL_ENTERTAINMENT = process.env.CACHE_TTL_ENTERTAINMENT || 1800; // 30 minutes  
-const CACHE_TTL_WAIT_TIMES = process.env.CACHE_TTL_WAIT_TIMES || 300; // 5 minutes
+// Ticket ids awaiting delivery receipts; dead tokens are deactivated, not deleted
+const PUSH_RECEIPT_INTERVAL = config.push.receiptIntervalMinutes * 60 * 1000;
+// Expo push chunks sent in parallel per monitoring cycle
+const PUSH_CONCURRENCY = config.push.concurrency;
+
+const deactivateDeviceToken = (token, reason) => {
+  const userId = notificationRegistry.deactivateToken(token, reason || 'DeviceNotRegistered');
+  if (userId) logger.info(`💀 Deactivated push token for user ${userId}: ${reason}`);
+};
+
+const pushReceipts = new PushReceiptTracker({
+  expo,
+  pendingStore: storage.map('pushReceipts'),
+  onDeadToken: deactivateDeviceToken,
+  onReceipt: (pending, ticketId, receipt) => {
+    if (pending.historyId) notificationHistory.recordReceipt(pending.userId, pending.historyId, ticketId, receipt);
+  }
+});
+pushReceipts.start(PUSH_RECEIPT_INTERVAL);
+
+const notificationChannels = {
+  expo: createExpoChannel({ expo, receipts: pushReceipts, concurrency: PUSH_CONCURRENCY }),
+  fcm: createFcmChannel({
+    getMessaging: () => (firebaseInitialized ? admin.messaging() : null),
+    onDeadToken: deactivateDeviceToken
+  })
+};
+
+// Quiet hours, daily caps and per-ride cooldowns for ride alerts
+const ALERT_COOLDOWN_MINUTES = config.alerts.cooldownMinutes;
 
+const notificationPolicy = new NotificationPolicy({
+  usageStore: storage.map('notificationUsage'),
+  cooldownMinutes: ALERT_COOLDOWN_MINUTES
+});
+
+// Canonical attraction ids shared by every source, watchlists and history
+const attractionCatalog = new AttractionCatalog({
+  store: storage.map('attractionCatalog'),
+  seed: attractionSeed
+});
+// ========== ENHANCED CACHING SYSTEM ==========
+// Seconds, validated by the config module
+const CACHE_TTL_PARK_HOURS = config.cache.ttl.parkHours;
+const CACHE_TTL_ENTERTAINMENT = config.cache.ttl.entertainment;
+const CACHE_TTL_WAIT_TIMES = config.cache.ttl.waitTimes;
+const CACHE_TTL_FORECAST = config.cache.ttl.forecast;
+const CACHE_TTL_CHARACTERS = config.cache.ttl.characters;
+
+// Upstream-backed caches keep their last good value after TTL (stale-while-revalidate)
 const caches = {
-  parkHours: new NodeCache({ stdTTL: CACHE_TTL_PARK_HOURS, checkperiod: 600 }),
-  entertainment: new NodeCache({ stdTTL: CACHE_TTL_ENTERTAINMENT, checkperiod: 300 }),
-  waitTimes: new NodeCache({ stdTTL: CACHE_TTL_WAIT_TIMES, checkperiod: 60 })
+  parkHours: new SwrCache({ name: 'parkHours', stdTTL: CACHE_TTL_PARK_HOURS }),
+  entertainment: new SwrCache({ name: 'entertainment', stdTTL: CACHE_TTL_ENTERTAINMENT }),
+  waitTimes: new SwrCache({ name: 'waitTimes', stdTTL: CACHE_TTL_WAIT_TIMES }),
+  forecast: new NodeCache({ stdTTL: CACHE_TTL_FORECAST, checkperiod: 120 }),
+  characters: new NodeCache({ stdTTL: CACHE_TTL_CHARACTERS, checkperiod: 300 })
 };
 
 // Data freshness tracking
@@ -122,47 +361,76 @@ const dataState = {
 
 // ========== ENHANCED RATE LIMITING ==========
 const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Per IP
+  windowMs: config.rateLimit.windowMinutes * 60 * 1000,
+  max: config.rateLimit.max, // Per IP
   keyGenerator: (req) => req.ip,
   handler: (req, res) => {
-    console.log(`🚫 Rate limit exceeded for IP: ${req.ip} - Request ID: ${req.id}`);
+    logger.warn(`🚫 Rate limit exceeded for IP: ${req.ip}`, { ip: req.ip });
     res.status(429).json({
       error: 'Too many requests',
       referenceId: req.id,
-      retryAfter: '15 minutes'
+      retryAfter: `${config.rateLimit.windowMinutes} minutes`
     });
   }
 });
 
-app.use('/api/', apiLimiter);
+// /debug runs live upstream scrapes, so it shares the API budget
+app.use(['/api/', '/debug'], apiLimiter);
+
+// Everything under these prefixes is admin-only, including routes added later;
+// individual routes can require a higher role on top
+app.use('/api/admin', requireAdmin('admin'));
+app.use('/api/cache', requireAdmin('viewer'));
+app.use('/debug', requireAdmin('operator'));
 
 // ========== INPUT VALIDATION ==========
-const validParks = ['magic-kingdom', 'epcot', 'hollywood-studios', 'animal-kingdom'];
+// Routes without a :resort segment are Walt Disney World aliases
+const validParks = getAllParks();
 
 const validatePark = (req, res, next) => {
-  const park = req.params.park || 'magic-kingdom';
-  if (!validParks.includes(park)) {
-    console.log(`❌ Invalid park parameter: ${park} - Request ID: ${req.id}`);
+  const resortId = req.params.resort || DEFAULT_RESORT;
+  const resort = getResort(resortId);
+  if (!resort) {
+    logger.warn(`❌ Invalid resort parameter: ${resortId}`);
+    return res.status(400).json({
+      error: 'Invalid resort',
+      referenceId: req.id,
+      validResorts: describeResorts().map(r => r.id)
+    });
+  }
+
+  const resortParks = getResortParks(resortId);
+  const park = req.params.park || resortParks[0];
+  if (!resortParks.includes(park)) {
+    logger.warn(`❌ Invalid park parameter: ${park} (resort ${resortId})`, { park });
     return res.status(400).json({
-      error: `Invalid park. Valid parks are: ${validParks.join(', ')}`,
+      error: `Invalid park. Valid parks are: ${resortParks.join(', ')}`,
       referenceId: req.id,
-      validParks: validParks
+      validParks: resortParks
     });
   }
+  req.resort = resortId;
   req.park = park;
+  req.parkInfo = getPark(park);
+  addContext({ park });
   next();
 };
 
 // ========== FIXED NETWORKING WITH PROPER HEADERS ==========
+// All upstream GETs go through here so they can be recorded and replayed
+const upstreamHttp = createUpstreamHttp({ mode: config.upstream.mode, dir: config.upstream.fixturesDir });
+if (upstreamHttp.mode !== 'live') {
+  logger.warn(`📼 Upstream ${upstreamHttp.mode} mode - fixtures in ${config.upstream.fixturesDir}`);
+}
+
 const fetchWithRetry = async (url, options = {}, retries = 2) => {
-  const requestId = options.requestId || 'unknown';
+  const startedAt = Date.now();
   
   try {
-    console.log(`🌐 Fetching: ${url} (${retries + 1} attempts left) - Request ID: ${requestId}`);
+    logger.debug(`🌐 Fetching: ${url} (${retries + 1} attempts left)`, { url });
     
-    const response = await axios.get(url, {
-      timeout: 8000, // Increased timeout for better reliability
+    const response = await upstreamHttp.get(url, {
+      timeout: options.timeout || config.upstream.timeoutMs,
       headers: {
         // FIXED: Standard browser User-Agent to avoid 406 errors
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
@@ -181,91 +449,380 @@ const fetchWithRetry = async (url, options = {}, retries = 2) => {
     }
     
     if (response.data) {
-      console.log(`✅ Successful fetch: ${url} - Request ID: ${requestId}`);
+      logger.info(`✅ Successful fetch: ${url}`, { url, durationMs: Date.now() - startedAt });
       return response;
     }
     throw new Error(`No data received from ${url}`);
     
   } catch (error) {
-    console.log(`❌ Fetch failed: ${url} - ${error.message} - Request ID: ${requestId}`);
+    logger.warn(`❌ Fetch failed: ${url} - ${error.message}`, { url, durationMs: Date.now() - startedAt });
     
-    if (retries > 0) {
-      console.log(`🔄 Retrying ${url} (${retries} left) - Request ID: ${requestId}`);
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Increased retry delay
+    // A missing fixture stays missing - don't sleep on it
+    if (retries > 0 && error.code !== FIXTURE_MISSING) {
+      logger.info(`🔄 Retrying ${url} (${retries} left)`, { url });
+      await new Promise(resolve => setTimeout(resolve, config.upstream.retryDelayMs));
       return fetchWithRetry(url, options, retries - 1);
     }
     throw error;
   }
 };
 
+// ========== UPSTREAM SOURCE REGISTRY ==========
+// Named parsers - built-in adapters use them directly, DATA_SOURCES entries by name
+const sourceParsers = {
+  queue_times: (data, park) => parseWaitTimesData(data, park, 'queue_times'),
+  themeparks_wiki: (data, park) => parseWaitTimesData(data, park, 'themeparks_wiki'),
+  queue_times_info: (data, park) => parseHoursData(data, park, 'queue_times_info'),
+  themeparks_wiki_schedule: (data, park) => parseHoursData(data, park, 'themeparks_wiki'),
+  themeparks_wiki_live: (data, park) => parseThemeParksEntertainment(data, park)
+};
+
+const sourceRegistry = createSourceRegistry({
+  fetcher: fetchWithRetry,
+  getParkInfo: getPark,
+  parsers: sourceParsers,
+  defaultTimeout: config.upstream.timeoutMs,
+  retryDelayMs: config.upstream.retryDelayMs,
+  breakerOptions: {
+    errorThresholdPercentage: config.breaker.errorThresholdPercentage,
+    resetTimeout: config.breaker.resetTimeoutMs
+  },
+  onFetch: ({ adapter, durationMs, outcome }) => {
+    upstreamFetchDuration.observe({ source: adapter.id, kind: adapter.kind, outcome }, durationMs / 1000);
+  }
+});
+
+// Wait times
+sourceRegistry.register({
+  id: 'queue_times_wait_times',
+  kind: 'waitTimes',
+  source: 'queue_times',
+  buildUrl: (park) => `https://queue-times.com/parks/${getParkId(park)}/queue_times.json`,
+  parse: sourceParsers.queue_times,
+  priority: 1,
+  timeout: 5000,
+  retries: 1
+});
+
+sourceRegistry.register({
+  id: 'themeparks_wiki_wait_times',
+  kind: 'waitTimes',
+  source: 'themeparks_wiki',
+  buildUrl: (park) => `https://api.themeparks.wiki/v1/destinations/${getThemeParksWikiDestination(park)}/parks/${getThemeParksWikiId(park)}/waitTimes`,
+  parse: sourceParsers.themeparks_wiki,
+  priority: 2,
+  timeout: config.upstream.timeoutMs,
+  retries: 1
+});
+
+// Park hours - the ThemeParks.wiki schedule covers weeks of typed windows;
+// Queue-Times only has today's regular hours, so it's the backup
+sourceRegistry.register({
+  id: 'themeparks_wiki_park_hours',
+  kind: 'parkHours',
+  source: 'themeparks_wiki',
+  buildUrl: (park) => `https://api.themeparks.wiki/v1/destinations/${getThemeParksWikiDestination(park)}/parks/${getThemeParksWikiId(park)}/schedule`,
+  parse: sourceParsers.themeparks_wiki_schedule,
+  priority: 1,
+  timeout: config.upstream.timeoutMs
+});
+
+sourceRegistry.register({
+  id: 'queue_times_park_hours',
+  kind: 'parkHours',
+  source: 'queue_times_info',
+  buildUrl: (park) => `https://queue-times.com/parks/${getParkId(park)}.json`,
+  parse: sourceParsers.queue_times_info,
+  priority: 2,
+  timeout: config.upstream.timeoutMs
+});
+
+// Entertainment
+sourceRegistry.register({
+  id: 'themeparks_wiki_entertainment',
+  kind: 'entertainment',
+  source: 'live',
+  buildUrl: (park) => {
+    const entityId = getPark(park)?.themeParksWiki.entityId;
+    return entityId ? `https://api.themeparks.wiki/v1/entity/${entityId}/live` : null;
+  },
+  parse: sourceParsers.themeparks_wiki_live,
+  priority: 1,
+  timeout: config.upstream.timeoutMs
+});
+
+// DATA_SOURCES='{"themeparks_wiki_wait_times":{"priority":0},"queue_times_park_hours":{"enabled":false}}'
+// disables/reorders built-ins; unknown ids with kind, url (with {queueTimesId},
+// {themeParksWikiDestination}, {themeParksWikiPark}, {entityId}, {park}) and parser add a source
+if (config.upstream.sources) {
+  const sourceOverrides = config.upstream.sources;
+  sourceRegistry.configure(sourceOverrides);
+  logger.info(`🔌 Applied DATA_SOURCES overrides: ${Object.keys(sourceOverrides).join(', ')}`);
+}
+
 // ========== CIRCUIT BREAKER IMPLEMENTATION ==========
 const circuitBreakerOptions = {
-  timeout: 8000, // Increased timeout
-  errorThresholdPercentage: 50,
-  resetTimeout: 30000 // 30 seconds
+  timeout: config.breaker.timeoutMs,
+  errorThresholdPercentage: config.breaker.errorThresholdPercentage,
+  resetTimeout: config.breaker.resetTimeoutMs
 };
 
-// Wait Times Circuit Breaker with FIXED endpoints
+// Wait Times Circuit Breaker - per-source breakers live in the source registry,
+// so this one only times out once every enabled source has had its full budget
 const waitTimesBreaker = new CircuitBreaker(
   async (park, requestId) => {
-    const sources = [
-      { 
-        url: `https://queue-times.com/parks/${getParkId(park)}/queue_times.json`, 
-        priority: 1, 
-        timeout: 5000,
-        parser: 'queue_times'
-      },
-      { 
-        url: `https://api.themeparks.wiki/v1/destinations/WaltDisneyWorld/parks/${getThemeParksWikiId(park)}/waitTimes`, 
-        priority: 2, 
-        timeout: 8000,
-        parser: 'themeparks_wiki'
-      }
-    ];
-
-    // Sort by priority
-    sources.sort((a, b) => a.priority - b.priority);
-
-    for (const { url, timeout, parser } of sources) {
-      try {
-        const response = await fetchWithRetry(
-          url, 
-          { timeout, requestId }, 
-          1 // Only 1 retry for circuit breaker
-        );
-        
-        dataState.lastSuccessfulFetch.waitTimes = new Date();
-        dataState.errorCounts.waitTimes = 0;
-        
-        return {
-          park,
-          attractions: parseWaitTimesData(response.data, park, parser),
-          source: getSourceName(url),
-          lastUpdated: new Date().toISOString(),
-          freshnessScore: 100
-        };
-      } catch (error) {
-        console.log(`❌ Failed source: ${url} - ${error.message} - Request ID: ${requestId}`);
-        dataState.errorCounts.waitTimes++;
-        continue;
-      }
+    try {
+      const { data: attractions, source } = await sourceRegistry.fetch('waitTimes', park, requestId);
+      
+      dataState.lastSuccessfulFetch.waitTimes = new Date();
+      dataState.errorCounts.waitTimes = 0;
+      
+      return {
+        park,
+        attractions: attractionCatalog.ingest(park, source, attractions),
+        source,
+        lastUpdated: new Date().toISOString(),
+        freshnessScore: 100
+      };
+    } catch (error) {
+      dataState.errorCounts.waitTimes += error.attempts?.length || 1;
+      throw error;
     }
-    throw new Error('All wait time sources failed');
   },
-  circuitBreakerOptions
+  { ...circuitBreakerOptions, timeout: sourceRegistry.budget('waitTimes') }
 );
 
 // Circuit breaker fallback
 waitTimesBreaker.fallback(async (park, requestId) => {
-  console.log(`🔧 Circuit breaker fallback for ${park} - Request ID: ${requestId}`);
+  logger.info(`🔧 Circuit breaker fallback for ${park}`, { park });
   return getFallbackWaitTimes(park);
 });
 
+// ========== CACHE LOADERS ==========
+// Shared by routes, background jobs and the pre-warm scheduler
+const loadWaitTimes = (park, requestId) => waitTimesBreaker.fire(park, requestId);
+
+// Fallback tables must never replace the last good value in the cache
+const isLiveWaitTimes = (waitTimesData) => waitTimesData.source !== 'fallback';
+
+const loadParkHours = async (park, requestId) => {
+  const hoursData = await fetchLiveParkHours(park, requestId);
+  if (hoursData) dataState.lastSuccessfulFetch.parkHours = new Date();
+  return hoursData;
+};
+
+// Fresh wait times for background jobs - never a stale copy
+async function getWaitTimesSnapshot(park, requestId) {
+  const cacheKey = `wait_times_${park}`;
+  const cached = caches.waitTimes.get(cacheKey);
+  if (cached) return cached;
+
+  return caches.waitTimes.refresh(cacheKey, () => loadWaitTimes(park, requestId), {
+    shouldCache: isLiveWaitTimes
+  });
+}
+
+// Look up the attraction a watchlist request refers to. attractionId wins;
+// otherwise rideName must resolve to exactly one attraction in the park.
+async function resolveWatchedAttraction(parkId, { attractionId, rideName }, requestId) {
+  // Populate the catalog for parks we haven't fetched since boot
+  if (!attractionCatalog.list(parkId).some(entry => entry.lastSeen)) {
+    try {
+      await getWaitTimesSnapshot(parkId, requestId);
+    } catch (error) {
+      logger.warn(`⚠️ Could not warm attraction catalog for ${parkId}: ${error.message}`, { park: parkId, err: error });
+    }
+  }
+
+  if (attractionId) {
+    const attraction = attractionCatalog.get(attractionId);
+    return { attraction: attraction && attraction.park === parkId ? attraction : null, candidates: [] };
+  }
+  return attractionCatalog.resolve(parkId, rideName);
+}
+
+// 404/409 body for an attraction that didn't resolve
+function unresolvedAttractionError(parkId, query, candidates, requestId) {
+  const ambiguous = candidates.length > 1;
+  return {
+    status: ambiguous ? 409 : 404,
+    body: {
+      error: ambiguous
+        ? `"${query}" matches more than one attraction in ${parkId} - send attractionId instead`
+        : `No attraction matching "${query}" in ${parkId}`,
+      candidates: candidates.map(entry => ({ id: entry.id, name: entry.name })),
+      referenceId: requestId
+    }
+  };
+}
+
+// Age header plus the existing X-Data-Freshness summary
+function setFreshnessHeaders(res, status, ageSeconds) {
+  res.setHeader('Age', String(ageSeconds));
+  res.setHeader('X-Data-Freshness', status === 'stale' ? 'stale' : `${Math.floor(ageSeconds / 60)}min`);
+}
+
 // ========== NOTIFICATION ENDPOINTS ==========
 
-// Register device for notifications
-app.post('/api/notifications/register', (req, res) => {
-  const { token, userId = 'user_123', preferences = {} } = req.body;
+// The device behind a valid `Authorization: Bearer <credential>`, or null.
+// A credential whose device no longer belongs to its user (the push token
+// was registered again without it) is treated as revoked.
+function authenticateDevice(req) {
+  const claims = deviceCredentials.verify(parseBearer(req.get('Authorization')));
+  if (!claims) return null;
+  const device = notificationRegistry.findDevice(claims.userId, claims.deviceId);
+  return device ? { userId: claims.userId, device } : null;
+}
+
+function rejectDeviceCredential(req, res) {
+  res.set('WWW-Authenticate', 'Bearer realm="notifications"');
+  return res.status(401).json({
+    error: req.get('Authorization') ? 'Invalid or revoked device credential' : 'Device credential required',
+    hint: 'Register the device and send the returned credential as "Authorization: Bearer <credential>"',
+    referenceId: req.id
+  });
+}
+
+// Every notification route except registration
+function requireDevice(req, res, next) {
+  req.device = authenticateDevice(req);
+  if (!req.device) return rejectDeviceCredential(req, res);
+  next();
+}
+
+// Registration: anonymous, or authenticated to add a device to the same user
+function optionalDevice(req, res, next) {
+  if (!req.get('Authorization')) return next();
+  requireDevice(req, res, next);
+}
+
+// Before credentials, FCM registrations without a userId all landed here
+const LEGACY_SHARED_USER_ID = 'user_123';
+
+/**
+ * A device registered before credentials existed may claim its existing user
+ * once - but only a user it had to itself. A user shared with other tokens
+ * (always true of user_123) would hand every one of them the same watchlist
+ * and inbox, so such a device gets a new user instead. Shared watch items
+ * can't be attributed to one device, so none move with it.
+ */
+function claimableLegacyUser(existing) {
+  if (!existing || existing.device.credentialIssuedAt) return null;
+  if (existing.userId === LEGACY_SHARED_USER_ID) return null;
+  return existing.user.devices.length === 1 ? existing.userId : null;
+}
+
+// Shared by the FCM and Expo registration routes. An authenticated caller
+// registers into its own user; otherwise a new user is created, so knowing a
+// push token never grants access to its owner's data. A token that already
+// has a credential stays with its user: only that user may register it again.
+// Returns { error: { status, body } } or { userId, deviceId, credential }.
+function registerNotificationDevice(req, { channel, token, platform, preferences = {} }) {
+  const existing = notificationRegistry.findByToken(token);
+  if (existing && existing.device.credentialIssuedAt && existing.userId !== req.device?.userId) {
+    logger.warn(`🚫 Refused to move a credentialed ${channel} token away from user ${existing.userId}`);
+    return {
+      error: {
+        status: req.device ? 409 : 401,
+        body: {
+          error: req.device
+            ? 'This push token is registered to another user'
+            : "This push token is already registered - send its device credential to register it again",
+          referenceId: req.id
+        }
+      }
+    };
+  }
+
+  const userId = req.device?.userId
+    || claimableLegacyUser(existing)
+    || notificationRegistry.newUserId();
+
+  const { device } = notificationRegistry.registerDevice({ userId, channel, token, platform, preferences });
+  notificationRegistry.markCredentialIssued(userId, device.id);
+
+  logger.info(`🔔 Registered ${channel} device for user ${userId} (${notificationRegistry.activeDevices(userId).length} active devices)`);
+  return {
+    userId,
+    deviceId: device.id,
+    credential: deviceCredentials.issue({ userId, deviceId: device.id })
+  };
+}
+
+/**
+ * Validate and store one watch item for userId. Used by both watchlist routes.
+ * Returns { error: { status, body } } or { watchItem, watchlist, attraction }.
+ */
+async function upsertWatchItem(userId, fields, requestId) {
+  const {
+    attractionId,
+    rideName,
+    thresholdMinutes,
+    parkId = 'magic-kingdom',
+    alertType = DEFAULT_ALERT_TYPE,
+    cooldownMinutes
+  } = fields;
+  const fail = (status, error, extra = {}) => ({ error: { status, body: { error, ...extra, referenceId: requestId } } });
+
+  if (!isValidAlertType(alertType)) {
+    return fail(400, `Invalid alertType. Valid types are: ${Object.keys(ALERT_TYPES).join(', ')}`);
+  }
+  if (cooldownMinutes !== undefined && !(parseInt(cooldownMinutes) >= 0)) {
+    return fail(400, 'cooldownMinutes must be a non-negative number');
+  }
+  if (thresholdMinutes !== undefined && thresholdMinutes !== null && !(parseInt(thresholdMinutes) > 0)) {
+    return fail(400, 'thresholdMinutes must be a positive number');
+  }
+  // ride_reopened / ride_down don't use a threshold
+  if ((!rideName && !attractionId) || (ALERT_TYPES[alertType].needsThreshold && !thresholdMinutes)) {
+    return fail(400, 'rideName (or attractionId) and thresholdMinutes are required');
+  }
+  if (!validParks.includes(parkId)) {
+    return fail(400, 'Invalid parkId', { validParks });
+  }
+
+  const { attraction, candidates } = await resolveWatchedAttraction(parkId, { attractionId, rideName }, requestId);
+  if (!attraction) {
+    return { error: unresolvedAttractionError(parkId, attractionId || rideName, candidates, requestId) };
+  }
+
+  // One alert per ride and type, so "tell me when it reopens" and "tell me when it's short" can coexist
+  const watchlist = notificationRegistry.getWatchlist(userId).filter(item =>
+    item.attractionId !== attraction.id || (item.alertType || DEFAULT_ALERT_TYPE) !== alertType
+  );
+
+  const watchItem = {
+    attractionId: attraction.id,
+    rideName: attraction.name,
+    thresholdMinutes: thresholdMinutes !== undefined && thresholdMinutes !== null ? parseInt(thresholdMinutes) : null,
+    parkId,
+    alertType,
+    // Optional per-ride override of the notification cooldown
+    cooldownMinutes: cooldownMinutes !== undefined ? parseInt(cooldownMinutes) : null,
+    addedAt: new Date(),
+    lastNotified: null,
+    lastObserved: null,
+    notificationCount: 0
+  };
+
+  watchlist.push(watchItem);
+  notificationRegistry.setWatchlist(userId, watchlist);
+
+  logger.info(`🎢 Added ${attraction.id} (${alertType}${watchItem.thresholdMinutes ? `, ${watchItem.thresholdMinutes} min` : ''}) to watchlist for ${userId}`);
+  return { watchItem, watchlist, attraction };
+}
+
+// "Server will monitor X and notify when ..." for a stored item
+function describeWatchItem(watchItem) {
+  return ALERT_TYPES[watchItem.alertType].describe({
+    rideName: watchItem.rideName,
+    thresholdMinutes: watchItem.thresholdMinutes
+  });
+}
+
+// Register device for notifications (FCM)
+app.post('/api/notifications/register', optionalDevice, (req, res) => {
+  const { token, platform, preferences = {} } = req.body;
   
   if (!token) {
     return res.status(400).json({
@@ -274,71 +831,51 @@ app.post('/api/notifications/register', (req, res) => {
     });
   }
   
-  userTokens.set(userId, {
-    token,
-    preferences: {
-      maxPerDay: preferences.maxPerDay || 6,
-      quietHours: preferences.quietHours || { start: '22:00', end: '08:00' },
-      ...preferences
-    },
-    registeredAt: new Date(),
-    lastActive: new Date()
-  });
+  const registration = registerNotificationDevice(req, { channel: 'fcm', token, platform, preferences });
+  if (registration.error) {
+    return res.status(registration.error.status).json(registration.error.body);
+  }
   
-  console.log(`🔔 Registered device for user ${userId} - Request ID: ${req.id}`);
   res.json({ 
     success: true, 
     message: 'Device registered for notifications',
-    userId,
+    ...registration,
     requestId: req.id
   });
 });
 
 // Add ride to watchlist
-app.post('/api/notifications/watchlist', (req, res) => {
-  const { userId = 'user_123', rideName, threshold = 30, parkId } = req.body;
-  
-  if (!rideName) {
-    return res.status(400).json({
-      error: 'rideName is required',
-      referenceId: req.id
-    });
-  }
+app.post('/api/notifications/watchlist', requireDevice, async (req, res) => {
+  const { userId } = req.device;
+  // FCM clients send `threshold` and may omit it; default it only for alert types that use one
+  const { alertType = DEFAULT_ALERT_TYPE, threshold } = req.body;
+  const usesThreshold = isValidAlertType(alertType) && ALERT_TYPES[alertType].needsThreshold;
+  const { thresholdMinutes = threshold ?? (usesThreshold ? 30 : undefined) } = req.body;
   
-  if (!userWatchlists.has(userId)) {
-    userWatchlists.set(userId, []);
+  const result = await upsertWatchItem(userId, { ...req.body, thresholdMinutes }, req.id);
+  if (result.error) {
+    return res.status(result.error.status).json(result.error.body);
   }
   
-  const watchlist = userWatchlists.get(userId);
-  const filteredWatchlist = watchlist.filter(item => item.rideName !== rideName);
-  
-  const newWatchItem = {
-    rideName,
-    threshold: parseInt(threshold),
-    parkId: parkId || 'magic-kingdom',
-    addedAt: new Date(),
-    lastNotified: null,
-    notificationCount: 0
-  };
-  
-  filteredWatchlist.push(newWatchItem);
-  userWatchlists.set(userId, filteredWatchlist);
-  
-  console.log(`👀 Added ${rideName} (threshold: ${threshold}min) to watchlist for ${userId} - Request ID: ${req.id}`);
-  
   res.json({ 
     success: true, 
-    message: `Will notify when ${rideName} drops below ${threshold} minutes`,
-    watchItem: newWatchItem,
-    totalWatching: filteredWatchlist.length,
+    message: `Will ${describeWatchItem(result.watchItem)}`,
+    watchItem: result.watchItem,
+    totalWatching: result.watchlist.length,
     requestId: req.id
   });
 });
 
-// Get user's watchlist
-app.get('/api/notifications/watchlist/:userId?', (req, res) => {
-  const userId = req.params.userId || 'user_123';
-  const watchlist = userWatchlists.get(userId) || [];
+// Get user's watchlist (the :userId segment is optional and must be the caller's own)
+app.get('/api/notifications/watchlist/:userId?', requireDevice, (req, res) => {
+  const { userId } = req.device;
+  if (req.params.userId && req.params.userId !== userId) {
+    return res.status(403).json({
+      error: "Cannot read another user's watchlist",
+      referenceId: req.id
+    });
+  }
+  const watchlist = notificationRegistry.getWatchlist(userId);
   
   res.json({ 
     userId,
@@ -349,18 +886,19 @@ app.get('/api/notifications/watchlist/:userId?', (req, res) => {
 });
 
 // Test notification endpoint
-app.post('/api/notifications/test', async (req, res) => {
-  const { userId = 'user_123', message } = req.body;
+app.post('/api/notifications/test', requireDevice, async (req, res) => {
+  const { userId } = req.device;
+  const { message } = req.body;
   
-  if (!firebaseInitialized) {
+  if (!notificationChannels.fcm.available()) {
     return res.status(503).json({
       error: 'Firebase not initialized - missing environment variables',
       referenceId: req.id
     });
   }
   
-  const userToken = userTokens.get(userId);
-  if (!userToken) {
+  const devices = notificationRegistry.activeDevices(userId).filter(device => device.channel === 'fcm');
+  if (devices.length === 0) {
     return res.status(404).json({
       error: 'User not registered for notifications',
       referenceId: req.id
@@ -368,30 +906,37 @@ app.post('/api/notifications/test', async (req, res) => {
   }
   
   try {
-    const message = {
-      token: userToken.token,
-      notification: {
-        title: '🧚‍♀️ Pixie Pal Test',
-        body: req.body.message || 'Test notification is working perfectly!'
-      },
+    const content = {
+      title: '🧚‍♀️ Pixie Pal Test',
+      body: message || 'Test notification is working perfectly!',
       data: { 
         type: 'test',
         userId,
         timestamp: new Date().toISOString()
       }
     };
+    const { id: historyId } = notificationHistory.record(userId, { kind: 'test', status: 'pending', ...content });
+    const tickets = await notificationChannels.fcm.send(
+      devices.map(device => ({ token: device.token, ...content })),
+      devices.map(() => ({ userId, kind: 'test', historyId }))
+    );
+    notificationHistory.recordTickets(userId, historyId, tickets.map((ticket, index) => deliveryFromTicket('fcm', devices[index].id, ticket)));
+    countPushTickets('fcm', 'test', tickets);
 
-    const response = await admin.messaging().send(message);
-    console.log(`✅ Test notification sent: ${response} - Request ID: ${req.id}`);
+    if (!tickets.some(ticket => ticket.status === 'ok')) {
+      throw new Error(tickets[0].message || 'No device accepted the notification');
+    }
+    logger.info(`✅ Test notification sent to ${tickets.filter(ticket => ticket.status === 'ok').length} FCM devices`);
     
     res.json({ 
       success: true, 
       message: 'Test notification sent!',
+      tickets,
       requestId: req.id
     });
     
   } catch (error) {
-    console.error(`❌ Test notification failed: ${error.message} - Request ID: ${req.id}`);
+    logger.error(`❌ Test notification failed: ${error.message}`, { err: error });
     res.status(500).json({
       error: 'Failed to send test notification',
       details: error.message,
@@ -403,8 +948,8 @@ app.post('/api/notifications/test', async (req, res) => {
 // ========== EXPO PUSH NOTIFICATION ENDPOINTS ==========
 
 // Register device for Expo Push notifications
-app.post('/api/notifications/register-expo', (req, res) => {
-  const { expoPushToken, platform, userId, preferences = {} } = req.body;
+app.post('/api/notifications/register-expo', optionalDevice, (req, res) => {
+  const { expoPushToken, platform, preferences = {} } = req.body;
   
   if (!expoPushToken) {
     return res.status(400).json({
@@ -414,169 +959,82 @@ app.post('/api/notifications/register-expo', (req, res) => {
   }
 
   // Validate the Expo push token
-  if (!Expo.isExpoPushToken(expoPushToken)) {
+  if (!notificationChannels.expo.isValidToken(expoPushToken)) {
     return res.status(400).json({
       error: 'Invalid Expo push token format',
       referenceId: req.id
     });
   }
   
-  const deviceUserId = userId || `disney_fan_${Date.now()}`;
-  
-  expoUserTokens.set(deviceUserId, {
-    expoPushToken,
-    platform: platform || 'unknown',
-    preferences: {
-      maxNotificationsPerDay: preferences.maxNotificationsPerDay || 6,
-      quietHours: preferences.quietHours || { 
-        enabled: true,
-        start: '22:00', 
-        end: '08:00' 
-      },
-      ...preferences
-    },
-    registeredAt: new Date(),
-    lastActive: new Date()
-  });
-  
-  console.log(`🎯 Registered Expo Push token for user ${deviceUserId} - Request ID: ${req.id}`);
-  console.log(`📱 Platform: ${platform}, Token: ${expoPushToken.substring(0, 30)}...`);
+  // Sending the current credential keeps the user (and watchlist) across token changes
+  const registration = registerNotificationDevice(req, { channel: 'expo', token: expoPushToken, platform, preferences });
+  if (registration.error) {
+    return res.status(registration.error.status).json(registration.error.body);
+  }
+  logger.info(`📱 Platform: ${platform}, Token: ${expoPushToken.substring(0, 30)}...`);
   
   res.json({ 
     success: true, 
     message: 'Device registered for Expo Push notifications',
-    userId: deviceUserId,
+    ...registration,
     requestId: req.id
   });
 });
 
 // Add ride to watchlist (Expo Push version)
-app.post('/api/notifications/add-ride-alert', (req, res) => {
-  const { expoPushToken, rideName, thresholdMinutes, parkId, alertType } = req.body;
-  
-  if (!expoPushToken || !rideName || !thresholdMinutes) {
-    return res.status(400).json({
-      error: 'expoPushToken, rideName, and thresholdMinutes are required',
-      referenceId: req.id
-    });
-  }
-
-  // Find user by token
-  let userId = null;
-  for (const [id, userData] of expoUserTokens.entries()) {
-    if (userData.expoPushToken === expoPushToken) {
-      userId = id;
-      break;
-    }
-  }
-
-  if (!userId) {
-    return res.status(404).json({
-      error: 'Device not registered. Please register first.',
-      referenceId: req.id
-    });
-  }
-  
-  if (!expoUserWatchlists.has(userId)) {
-    expoUserWatchlists.set(userId, []);
+app.post('/api/notifications/add-ride-alert', requireDevice, async (req, res) => {
+  const { userId } = req.device;
+  const result = await upsertWatchItem(userId, req.body, req.id);
+  if (result.error) {
+    return res.status(result.error.status).json(result.error.body);
   }
   
-  const watchlist = expoUserWatchlists.get(userId);
-  const filteredWatchlist = watchlist.filter(item => item.rideName !== rideName);
-  
-  const newWatchItem = {
-    rideName,
-    thresholdMinutes: parseInt(thresholdMinutes),
-    parkId: parkId || 'magic-kingdom',
-    alertType: alertType || 'wait_time_drop',
-    addedAt: new Date(),
-    lastNotified: null,
-    notificationCount: 0
-  };
-  
-  filteredWatchlist.push(newWatchItem);
-  expoUserWatchlists.set(userId, filteredWatchlist);
-  
-  console.log(`🎢 Added ${rideName} (${thresholdMinutes} min) to watchlist for ${userId} - Request ID: ${req.id}`);
-  
   res.json({ 
     success: true, 
-    message: `Server will monitor ${rideName} and notify when it drops below ${thresholdMinutes} minutes`,
-    watchItem: newWatchItem,
-    totalWatching: filteredWatchlist.length,
+    message: `Server will monitor ${result.attraction.name} and ${describeWatchItem(result.watchItem)}`,
+    watchItem: result.watchItem,
+    totalWatching: result.watchlist.length,
     requestId: req.id
   });
 });
 
 // Remove ride from watchlist (Expo Push version)
-app.post('/api/notifications/remove-ride-alert', (req, res) => {
-  const { expoPushToken, rideName } = req.body;
+app.post('/api/notifications/remove-ride-alert', requireDevice, (req, res) => {
+  const { userId } = req.device;
+  const { attractionId, rideName, alertType } = req.body;
   
-  if (!expoPushToken || !rideName) {
+  if (!rideName && !attractionId) {
     return res.status(400).json({
-      error: 'expoPushToken and rideName are required',
-      referenceId: req.id
-    });
-  }
-
-  // Find user by token
-  let userId = null;
-  for (const [id, userData] of expoUserTokens.entries()) {
-    if (userData.expoPushToken === expoPushToken) {
-      userId = id;
-      break;
-    }
-  }
-
-  if (!userId) {
-    return res.status(404).json({
-      error: 'Device not registered',
+      error: 'rideName (or attractionId) is required',
       referenceId: req.id
     });
   }
   
-  const watchlist = expoUserWatchlists.get(userId) || [];
-  const filteredWatchlist = watchlist.filter(item => item.rideName !== rideName);
-  expoUserWatchlists.set(userId, filteredWatchlist);
+  // rideName still works for clients (and items) that predate attraction ids;
+  // without alertType every alert for the ride is removed
+  const isRemoved = (item) => {
+    if (alertType && (item.alertType || DEFAULT_ALERT_TYPE) !== alertType) return false;
+    return attractionId
+      ? item.attractionId === attractionId
+      : item.rideName === rideName || (item.attractionId && item.attractionId === attractionCatalog.resolve(item.parkId, rideName).attraction?.id);
+  };
+  const filteredWatchlist = notificationRegistry.getWatchlist(userId).filter(item => !isRemoved(item));
+  notificationRegistry.setWatchlist(userId, filteredWatchlist);
   
-  console.log(`🗑️ Removed ${rideName} from watchlist for ${userId} - Request ID: ${req.id}`);
+  logger.info(`🗑️ Removed ${attractionId || rideName} from watchlist for ${userId}`);
   
   res.json({ 
     success: true, 
-    message: `${rideName} removed from watchlist`,
+    message: `${rideName || attractionCatalog.get(attractionId)?.name || attractionId} removed from watchlist`,
     totalWatching: filteredWatchlist.length,
     requestId: req.id
   });
 });
 
 // Get user's watchlist (Expo Push version)
-app.get('/api/notifications/get-watchlist', (req, res) => {
-  const { token } = req.query;
-  
-  if (!token) {
-    return res.status(400).json({
-      error: 'token parameter is required',
-      referenceId: req.id
-    });
-  }
-
-  // Find user by token
-  let userId = null;
-  for (const [id, userData] of expoUserTokens.entries()) {
-    if (userData.expoPushToken === token) {
-      userId = id;
-      break;
-    }
-  }
-
-  if (!userId) {
-    return res.status(404).json({
-      error: 'Device not registered',
-      referenceId: req.id
-    });
-  }
-  
-  const watchlist = expoUserWatchlists.get(userId) || [];
+app.get('/api/notifications/get-watchlist', requireDevice, (req, res) => {
+  const { userId } = req.device;
+  const watchlist = notificationRegistry.getWatchlist(userId);
   
   res.json({ 
     userId,
@@ -586,29 +1044,22 @@ app.get('/api/notifications/get-watchlist', (req, res) => {
   });
 });
 
-// Test Expo Push notification
-app.post('/api/notifications/test-push', async (req, res) => {
-  const { expoPushToken, testMessage } = req.body;
+// Test Expo Push notification, sent to the calling device
+app.post('/api/notifications/test-push', requireDevice, async (req, res) => {
+  const { userId, device } = req.device;
+  const { testMessage } = req.body;
   
-  if (!expoPushToken) {
-    return res.status(400).json({
-      error: 'expoPushToken is required',
-      referenceId: req.id
-    });
-  }
-
-  // Validate the Expo push token
-  if (!Expo.isExpoPushToken(expoPushToken)) {
+  if (device.channel !== 'expo') {
     return res.status(400).json({
-      error: 'Invalid Expo push token format',
+      error: 'test-push is for Expo devices; use /api/notifications/test for FCM',
       referenceId: req.id
     });
   }
   
   try {
-    const message = {
-      to: expoPushToken,
-      sound: 'default',
+    logger.info(`🧪 Sending test notification to ${device.token.substring(0, 30)}...`);
+    
+    const content = {
       title: '🧚‍♀️ Pixie Pal Test',
       body: testMessage || 'Background notifications are working! 🎢✨',
       data: { 
@@ -617,22 +1068,30 @@ app.post('/api/notifications/test-push', async (req, res) => {
         source: 'disney_server'
       }
     };
+    const { id: historyId } = notificationHistory.record(userId, { kind: 'test', status: 'pending', ...content });
 
-    console.log(`🧪 Sending test notification to ${expoPushToken.substring(0, 30)}... - Request ID: ${req.id}`);
-    
-    const ticket = await expo.sendPushNotificationsAsync([message]);
-    console.log(`✅ Test notification sent successfully - Request ID: ${req.id}`);
-    console.log(`📊 Ticket:`, ticket[0]);
+    const [ticket] = await notificationChannels.expo.send(
+      [{ token: device.token, ...content }],
+      [{ userId, kind: 'test', historyId }]
+    );
+    notificationHistory.recordTickets(userId, historyId, [deliveryFromTicket('expo', device.id, ticket)]);
+    countPushTickets('expo', 'test', [ticket]);
+
+    if (ticket.details?.error === 'SendFailed') {
+      throw new Error(ticket.message);
+    }
+    logger.info(`✅ Test notification sent successfully`);
+    logger.debug('📊 Test push ticket', { ticket });
     
     res.json({ 
       success: true, 
       message: 'Test push notification sent!',
-      ticket: ticket[0],
+      ticket,
       requestId: req.id
     });
     
   } catch (error) {
-    console.error(`❌ Test notification failed: ${error.message} - Request ID: ${req.id}`);
+    logger.error(`❌ Test notification failed: ${error.message}`, { err: error });
     res.status(500).json({
       error: 'Failed to send test notification',
       details: error.message,
@@ -641,130 +1100,468 @@ app.post('/api/notifications/test-push', async (req, res) => {
   }
 });
 
+// ========== NOTIFICATION HISTORY (INBOX) ==========
+const HISTORY_STATUSES = ['pending', 'sent', 'failed', 'suppressed'];
+
+// Sent, failed and suppressed notifications, newest first
+app.get('/api/notifications/history', requireDevice, (req, res) => {
+  const { userId } = req.device;
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+  const { status } = req.query;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({
+      error: 'limit must be an integer between 1 and 100',
+      referenceId: req.id
+    });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'offset must be a non-negative integer',
+      referenceId: req.id
+    });
+  }
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Invalid status '${status}'`,
+      validStatuses: HISTORY_STATUSES,
+      referenceId: req.id
+    });
+  }
+
+  res.json({
+    userId,
+    ...notificationHistory.list(userId, { limit, offset, status, unreadOnly: req.query.unread === 'true' }),
+    requestId: req.id
+  });
+});
+
+// Mark inbox items read: { ids: [...] } or { all: true }
+app.post('/api/notifications/history/read', requireDevice, (req, res) => {
+  const { userId } = req.device;
+
+  const { ids, all } = req.body;
+  if (all !== true && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({
+      error: 'ids (non-empty array) or all: true is required',
+      referenceId: req.id
+    });
+  }
+
+  const marked = notificationHistory.markRead(userId, all === true ? 'all' : ids);
+
+  res.json({
+    success: true,
+    userId,
+    marked,
+    unread: notificationHistory.list(userId, { limit: 1 }).unread,
+    requestId: req.id
+  });
+});
+
 // ========== BACKGROUND MONITORING SYSTEM ==========
 // This function will periodically check wait times and send notifications
 
-async function checkWaitTimesAndNotify() {
-  console.log('🔍 Checking wait times for notifications...');
+// Each park is loaded at most once per cycle, through the shared wait times cache
+function createCycleSnapshots(jobId) {
+  const snapshots = new Map();
+
+  const load = async (parkId) => {
+    if (!(await isParkOperatingNow(parkId, jobId))) {
+      logger.info(`🌙 Skipping ${parkId} - outside operating hours`, { park: parkId });
+      return null;
+    }
+
+    const waitTimesData = await getWaitTimesSnapshot(parkId, jobId);
+    // Fallback tables are made-up numbers - alerting on them would be a false alarm
+    if (!waitTimesData || !waitTimesData.attractions || !isLiveWaitTimes(waitTimesData)) {
+      logger.warn(`⚠️ No live wait times for ${parkId} - skipping alerts this cycle`, { park: parkId });
+      return null;
+    }
+    return waitTimesData;
+  };
+
+  return (parkId) => {
+    if (!snapshots.has(parkId)) {
+      snapshots.set(parkId, load(parkId).catch(error => {
+        logger.error(`❌ Monitoring could not load ${parkId}: ${error.message}`, { park: parkId, err: error });
+        return null;
+      }));
+    }
+    return snapshots.get(parkId);
+  };
+}
+
+// Park-local now between the current operating day's opening and closing time
+async function isParkOperatingNow(parkId, requestId) {
+  const { nowMinutes, openingMinutes, closingMinutes } = await getOperatingDayHours(parkId, requestId);
+  return nowMinutes >= openingMinutes && nowMinutes <= closingMinutes;
+}
+
+let monitoringInProgress = false;
+
+async function checkWaitTimesAndNotify(jobId) {
+  // A slow upstream shouldn't let cycles overlap and double-send
+  if (monitoringInProgress) {
+    logger.info('⏭️ Previous monitoring cycle still running - skipping');
+    return;
+  }
+  monitoringInProgress = true;
+  logger.info('🔍 Checking wait times for notifications...');
+  const endCycleTimer = monitoringCycleDuration.startTimer();
+  let cycleOutcome = 'completed';
   
   try {
-    // Get all users with active watchlists
-    for (const [userId, watchlist] of expoUserWatchlists.entries()) {
+    const outgoing = [];
+    const getParkSnapshot = createCycleSnapshots(jobId);
+
+    // Get all users with active watchlists, whatever channel their devices use
+    for (const [userId, watchlist] of notificationRegistry.watchlists.entries()) {
       if (!watchlist || watchlist.length === 0) continue;
       
-      const userData = expoUserTokens.get(userId);
-      if (!userData) continue;
+      const user = notificationRegistry.users.get(userId);
+      const devices = notificationRegistry.activeDevices(userId)
+        .filter(device => notificationChannels[device.channel]?.available());
+      if (!user || devices.length === 0) continue;
+      
+      // Devices the channel asked us to back off from sit this cycle out
+      const recipient = {
+        preferences: user.preferences,
+        devices: devices.filter(device => !notificationChannels[device.channel].isRateLimited(device.token))
+      };
       
-      console.log(`👀 Checking ${watchlist.length} alerts for user ${userId}`);
+      logger.info(`👀 Checking ${watchlist.length} alerts for user ${userId} (${devices.length} devices)`);
       
       // Check each ride in the watchlist
+      const alerts = [];
       for (const watchItem of watchlist) {
-        await checkSingleRideAlert(userId, userData, watchItem);
+        const waitTimesData = await getParkSnapshot(watchItem.parkId);
+        if (!waitTimesData) continue;
+
+        const alert = checkSingleRideAlert(userId, recipient, watchItem, waitTimesData);
+        if (alert) alerts.push(alert);
       }
+      if (alerts.length > 0) outgoing.push({ userId, recipient, alerts });
+    }
+
+    if (outgoing.length > 0) {
+      await sendRideAlerts(outgoing);
     }
   } catch (error) {
-    console.error('❌ Error in wait time monitoring:', error);
+    cycleOutcome = 'failed';
+    logger.error('❌ Error in wait time monitoring', { err: error });
+  } finally {
+    endCycleTimer({ outcome: cycleOutcome });
+    monitoringInProgress = false;
   }
 }
 
-async function checkSingleRideAlert(userId, userData, watchItem) {
+// Check one watch item against the cycle's live snapshot of its park. Returns
+// the alert to push ({ watchItem, ride, alertType, timeZone, copy }) or null.
+function checkSingleRideAlert(userId, recipient, watchItem, waitTimesData) {
   try {
-    const { rideName, thresholdMinutes, parkId } = watchItem;
-    
-    // Get current wait times for the park
-    const waitTimesData = await waitTimesBreaker.fire(parkId, 'monitoring');
-    
-    if (!waitTimesData || !waitTimesData.attractions) {
-      console.log(`⚠️ No wait times data for ${parkId}`);
-      return;
+    const { thresholdMinutes, parkId } = watchItem;
+
+    // Items saved before the catalog existed are resolved once and upgraded
+    if (!watchItem.attractionId) {
+      const { attraction } = attractionCatalog.resolve(parkId, watchItem.rideName);
+      if (!attraction) {
+        logger.warn(`⚠️ Could not resolve ride: ${watchItem.rideName} in ${parkId}`, { park: parkId });
+        return null;
+      }
+      watchItem.attractionId = attraction.id;
+      notificationRegistry.touchWatchlist(userId);
     }
     
-    // Find the specific ride
-    const ride = waitTimesData.attractions.find(attraction => 
-      attraction.name.toLowerCase().includes(rideName.toLowerCase()) ||
-      rideName.toLowerCase().includes(attraction.name.toLowerCase())
-    );
+    // Find the specific ride by canonical id
+    const ride = waitTimesData.attractions.find(attraction => attraction.id === watchItem.attractionId);
     
     if (!ride) {
-      console.log(`⚠️ Could not find ride: ${rideName} in ${parkId}`);
-      return;
+      logger.warn(`⚠️ Could not find ride: ${watchItem.attractionId} in ${parkId}`, { park: parkId });
+      return null;
+    }
+
+    // Keep the display name current if the ride was renamed upstream
+    if (watchItem.rideName !== ride.name) {
+      watchItem.rideName = ride.name;
+      notificationRegistry.touchWatchlist(userId);
     }
+    const { rideName } = watchItem;
+    const now = new Date();
+    const parkOperating = waitTimesData.attractions.some(attraction => attraction.isOpen);
     
-    console.log(`🎢 ${rideName}: ${ride.waitTime} min (threshold: ${thresholdMinutes} min)`);
+    logger.info(`🎢 ${rideName}: ${ride.waitTime} min, ${ride.isOpen ? 'open' : 'closed'} (${watchItem.alertType || DEFAULT_ALERT_TYPE}, threshold: ${thresholdMinutes} min)`);
     
-    // Check if condition is met
-    if (ride.waitTime <= thresholdMinutes && ride.isOpen) {
+    // Compare against the previous cycle, then remember this one for the next
+    const { alertType, triggered } = evaluateAlert(watchItem, ride, {
+      parkOperating,
+      now,
+      maxObservationAgeMs: MONITORING_INTERVAL * 3
+    });
+    
+    try {
+      if (!triggered) {
+        endSuppression(watchItem);
+        return null;
+      }
       
-      // Check if we already sent this alert recently (anti-spam)
-      const now = new Date();
-      const lastNotified = watchItem.lastNotified ? new Date(watchItem.lastNotified) : null;
-      const timeSinceLastAlert = lastNotified ? (now - lastNotified) / (1000 * 60) : Infinity; // minutes
+      // Cooldown, quiet hours and daily cap, all in the park's local time
+      const { timeZone } = getParkInfo(parkId);
+      const decision = recipient.devices.length === 0
+        ? { allowed: false, reason: 'rate_limited', detail: 'Every device reported MessageRateExceeded recently; backing off' }
+        : notificationPolicy.evaluate(userId, recipient.preferences, watchItem, { timeZone, now });
       
-      if (timeSinceLastAlert < 30) { // Don't spam - wait 30 minutes between alerts for same ride
-        console.log(`⏭️ Already sent alert for ${rideName} recently (${Math.round(timeSinceLastAlert)} min ago)`);
-        return;
+      if (!decision.allowed) {
+        logger.info(`⏭️ Suppressed ${alertType} alert for ${rideName} (${decision.reason}): ${decision.detail}`);
+        recordSuppressedAlert(userId, watchItem, ride, alertType, decision, now);
+        return null;
       }
+      endSuppression(watchItem);
       
-      console.log(`🚨 ALERT TRIGGERED: ${rideName} is ${ride.waitTime} minutes!`);
+      logger.info(`🚨 ALERT TRIGGERED (${alertType}): ${rideName} is ${ride.isOpen ? `${ride.waitTime} minutes` : 'closed'}!`);
       
-      // Send the notification!
-      await sendRideAlert(userData.expoPushToken, watchItem, ride);
-      
-      // Update last notified time
-      watchItem.lastNotified = now.toISOString();
-      watchItem.notificationCount = (watchItem.notificationCount || 0) + 1;
+      // Copy is built now - transition copy quotes lastObserved, which is about to change
+      return { watchItem, ride, alertType, timeZone, copy: buildAlertCopy(watchItem, ride) };
+    } finally {
+      watchItem.lastObserved = observeRide(ride, parkOperating, now);
+      notificationRegistry.touchWatchlist(userId);
     }
     
   } catch (error) {
-    console.error(`❌ Error checking alert for ${watchItem.rideName}:`, error);
+    logger.error(`❌ Error checking alert for ${watchItem.rideName}`, { park: watchItem.parkId, err: error });
+    return null;
   }
 }
 
-async function sendRideAlert(expoPushToken, watchItem, ride) {
-  try {
-    const message = {
-      to: expoPushToken,
-      sound: 'default',
-      title: `🎢 ${watchItem.rideName} Alert!`,
-      body: `${watchItem.rideName} is now ${ride.waitTime} minutes! (Target: ${watchItem.thresholdMinutes} min)`,
-      data: { 
-        type: 'ride_alert',
-        rideName: watchItem.rideName,
-        currentWaitTime: ride.waitTime,
-        thresholdTime: watchItem.thresholdMinutes,
-        parkId: watchItem.parkId,
-        timestamp: new Date().toISOString()
+// Keep a per-user trail of skipped alerts for "I never got my alert" reports.
+// A level alert held back by a cooldown or cap triggers again every cycle, so
+// the inbox gets one entry per watch item and reason until the item's state
+// changes; repeats only update lastSuppressed.
+function recordSuppressedAlert(userId, watchItem, ride, alertType, decision, now) {
+  alertsSuppressedTotal.inc({ reason: decision.reason });
+
+  const previous = watchItem.lastSuppressed;
+  if (previous?.active && previous.reason === decision.reason) {
+    Object.assign(previous, { detail: decision.detail, at: now.toISOString(), repeats: (previous.repeats || 0) + 1 });
+    return;
+  }
+
+  const alert = { watchItem, ride, alertType, copy: buildAlertCopy(watchItem, ride) };
+
+  // The payload that would have gone out, so the inbox can show it
+  notificationHistory.record(userId, {
+    status: 'suppressed',
+    reason: decision.reason,
+    detail: decision.detail,
+    ...buildRideAlertContent([alert]),
+    rides: [rideAlertData(alert)]
+  });
+
+  watchItem.lastSuppressed = {
+    reason: decision.reason,
+    detail: decision.detail,
+    since: now.toISOString(),
+    at: now.toISOString(),
+    repeats: 0,
+    active: true
+  };
+}
+
+// The alert stopped triggering or went out - the next suppression is a new one
+function endSuppression(watchItem) {
+  if (watchItem.lastSuppressed?.active) watchItem.lastSuppressed.active = false;
+}
+
+// Push payload data for one triggered alert
+function rideAlertData({ watchItem, ride, alertType }) {
+  return {
+    alertType,
+    attractionId: watchItem.attractionId,
+    rideName: watchItem.rideName,
+    currentWaitTime: ride.waitTime,
+    isOpen: ride.isOpen,
+    thresholdTime: watchItem.thresholdMinutes,
+    parkId: watchItem.parkId
+  };
+}
+
+// History record of one device's ticket; the receipt is filled in later
+function deliveryFromTicket(channel, deviceId, ticket) {
+  return {
+    channel,
+    deviceId,
+    ticketId: ticket.id || null,
+    ticketStatus: ticket.status,
+    receiptStatus: null,
+    error: ticket.status === 'ok' ? null : ticket.details?.error || ticket.message
+  };
+}
+
+// One notification per user per cycle; several rides collapse into a group
+function buildRideAlertContent(alerts) {
+  const grouped = alerts.length > 1;
+  const { title, body } = grouped ? buildGroupedCopy(alerts.map(alert => alert.copy)) : alerts[0].copy;
+
+  return {
+    title,
+    body,
+    data: grouped
+      ? { type: 'ride_alert_group', alerts: alerts.map(rideAlertData), timestamp: new Date().toISOString() }
+      : { type: 'ride_alert', ...rideAlertData(alerts[0]), timestamp: new Date().toISOString() }
+  };
+}
+
+// outgoing: [{ userId, recipient, alerts }] collected by checkWaitTimesAndNotify.
+// Every device of the user gets the notification, batched per channel.
+async function sendRideAlerts(outgoing) {
+  const byChannel = {};
+  const deliveries = outgoing.map(() => []);
+  const contents = outgoing.map(({ alerts }) => buildRideAlertContent(alerts));
+  // Recorded before sending so the channel metas can reference the entry
+  const historyIds = outgoing.map(({ userId, alerts }, userIndex) => notificationHistory.record(userId, {
+    status: 'pending',
+    ...contents[userIndex],
+    rides: alerts.map(rideAlertData)
+  }).id);
+
+  outgoing.forEach(({ userId, recipient }, userIndex) => {
+    const content = contents[userIndex];
+    for (const device of recipient.devices) {
+      byChannel[device.channel] = byChannel[device.channel] || [];
+      byChannel[device.channel].push({
+        userIndex,
+        deviceId: device.id,
+        message: { token: device.token, ...content },
+        meta: { userId, kind: 'ride_alert', historyId: historyIds[userIndex] }
+      });
+    }
+  });
+
+  logger.info(`🔔 Sending ride alerts to ${outgoing.length} users (${outgoing.reduce((total, user) => total + user.alerts.length, 0)} alerts)`);
+
+  const accepted = new Set();
+  for (const [channelId, entries] of Object.entries(byChannel)) {
+    const tickets = await notificationChannels[channelId].send(
+      entries.map(entry => entry.message),
+      entries.map(entry => entry.meta)
+    );
+    countPushTickets(channelId, 'ride_alert', tickets);
+    tickets.forEach((ticket, index) => {
+      deliveries[entries[index].userIndex].push(deliveryFromTicket(channelId, entries[index].deviceId, ticket));
+      if (ticket.status === 'ok') {
+        accepted.add(entries[index].userIndex);
+      } else {
+        logger.warn(`❌ ${channelId} ride alert for ${entries[index].meta.userId} not accepted: ${ticket.details?.error || ticket.message}`);
       }
-    };
+    });
+  }
 
-    console.log(`🔔 Sending ride alert: ${watchItem.rideName} is ${ride.waitTime} minutes!`);
-    
-    const ticket = await expo.sendPushNotificationsAsync([message]);
-    console.log(`✅ Ride alert sent successfully`);
-    
-    return ticket[0];
-    
-  } catch (error) {
-    console.error('❌ Failed to send ride alert:', error);
-    throw error;
+  outgoing.forEach(({ userId }, userIndex) => {
+    notificationHistory.recordTickets(userId, historyIds[userIndex], deliveries[userIndex]);
+  });
+
+  // Failed sends leave lastNotified alone so level alerts retry next cycle
+  const now = new Date();
+  for (const userIndex of accepted) {
+    const { userId, alerts } = outgoing[userIndex];
+    for (const { watchItem } of alerts) {
+      watchItem.lastNotified = now.toISOString();
+      watchItem.notificationCount = (watchItem.notificationCount || 0) + 1;
+    }
+    // A grouped notification counts once toward the daily cap
+    notificationPolicy.recordSent(userId, { timeZone: alerts[0].timeZone, now });
+    notificationRegistry.touchWatchlist(userId);
   }
+
+  logger.info(`✅ Ride alerts delivered to ${accepted.size}/${outgoing.length} users`);
 }
 
 // ========== START MONITORING ==========
-// Check wait times every 5 minutes
-const MONITORING_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Check wait times every MONITORING_INTERVAL_MINUTES (default 5)
+const MONITORING_INTERVAL = config.monitoring.intervalMinutes * 60 * 1000;
+
+setInterval(() => runJob('monitoring', checkWaitTimesAndNotify), MONITORING_INTERVAL);
+
+logger.info(`🚀 Wait time monitoring started - checking every ${MONITORING_INTERVAL / 60000} minutes`);
+
+// ========== WAIT TIME HISTORY RECORDER ==========
+// Snapshot every park's wait times on a schedule so history survives the 5-minute cache
+const HISTORY_INTERVAL = config.history.intervalMinutes * 60 * 1000;
+const HISTORY_RETENTION_DAYS = config.history.retentionDays;
+
+const historyStore = createHistoryStore({
+  adapter: STORAGE_ADAPTER,
+  dir: `${STORAGE_DIR}/history`
+});
+
+async function recordWaitTimeHistory(jobId) {
+  const now = new Date();
+  const retentionCutoff = new Date(now.getTime() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
 
-setInterval(checkWaitTimesAndNotify, MONITORING_INTERVAL);
+  for (const park of validParks) {
+    try {
+      const waitTimesData = await getWaitTimesSnapshot(park, jobId);
 
-console.log(`🚀 Wait time monitoring started - checking every ${MONITORING_INTERVAL / 60000} minutes`);
+      // Fallback tables are made-up numbers - never let them into history
+      if (!waitTimesData || waitTimesData.source === 'fallback' || !waitTimesData.attractions?.length) {
+        logger.info(`⏭️ Skipping history snapshot for ${park} - no live data`, { park });
+        continue;
+      }
+
+      const sample = toHistorySample(waitTimesData, now);
+      await historyStore.append(park, sample);
+      forecastProfiles.add(park, sample);
+      await historyStore.prune(park, retentionCutoff);
+    } catch (error) {
+      logger.error(`❌ History snapshot failed for ${park}: ${error.message}`, { park, err: error });
+    }
+  }
+
+  logger.info(`📈 Wait time history recorded for ${validParks.length} parks`);
+}
+
+setInterval(() => runJob('history', recordWaitTimeHistory), HISTORY_INTERVAL);
+
+logger.info(`📈 Wait time history recording every ${HISTORY_INTERVAL / 60000} minutes (${historyStore.name} store, ${HISTORY_RETENTION_DAYS} day retention)`);
+
+// ========== CACHE PRE-WARM SCHEDULER ==========
+// Refresh every park's wait times, hours and entertainment shortly before their
+// TTLs lapse, so requests rarely wait on upstream. CACHE_PREWARM=false disables it.
+const CACHE_PREWARM = config.cache.prewarm;
+
+if (CACHE_PREWARM) {
+  startRefreshScheduler({
+    tasks: () => validParks.flatMap(park => [
+      {
+        cache: caches.waitTimes,
+        key: `wait_times_${park}`,
+        load: (jobId) => loadWaitTimes(park, jobId),
+        shouldCache: isLiveWaitTimes
+      },
+      {
+        cache: caches.parkHours,
+        key: `park_hours_${park}`,
+        load: (jobId) => loadParkHours(park, jobId)
+      },
+      {
+        cache: caches.entertainment,
+        key: `entertainment_${park}`,
+        load: (jobId) => buildEntertainmentResult(park, jobId)
+      }
+    ])
+  });
+  logger.info(`🔥 Cache pre-warm scheduler started for ${validParks.length} parks`);
+}
 
 // ========== EXPO PUSH STATUS ENDPOINT ==========
-app.get('/api/notifications/expo-status', (req, res) => {
+app.get('/api/notifications/expo-status', requireAdmin('viewer'), (req, res) => {
   res.json({
     expoSDK: 'active',
-    registeredDevices: expoUserTokens.size,
-    activeWatchlists: expoUserWatchlists.size,
-    totalWatchedRides: Array.from(expoUserWatchlists.values()).reduce((total, list) => total + list.length, 0),
+    channels: Object.fromEntries(Object.values(notificationChannels).map(channel => [channel.id, channel.available() ? 'active' : 'unavailable'])),
+    ...notificationRegistry.stats(),
+    delivery: pushReceipts.stats(),
     monitoringInterval: `${MONITORING_INTERVAL / 60000} minutes`,
     lastCheck: new Date().toISOString(),
     requestId: req.id
@@ -790,21 +1587,34 @@ app.get('/', (req, res) => {
       'Production-grade error handling'
     ],
     endpoints: [
+  'GET /api/disney/resorts',
+  'GET /api/disney/:resort/park-hours/:park',
+  'GET /api/disney/:resort/wait-times/:park',
+  'GET /api/disney/:resort/entertainment/:park',
+  'GET /api/disney/:resort/character-meets/:park',
   'GET /api/disney/park-hours/:park',
   'GET /api/disney/entertainment/:park', 
   'GET /api/disney/wait-times/:park',
+  'GET /api/disney/wait-times/:park/history',
+  'GET /api/disney/stream/:park',
+  'GET /api/disney/attractions/:park?q=',
+  'GET /api/disney/wait-times/:park/forecast',
   'GET /api/disney/character-meets/:park',
   'POST /api/notifications/register-expo',
   'POST /api/notifications/test-push',
   'POST /api/notifications/add-ride-alert',
   'POST /api/notifications/remove-ride-alert',
   'GET /api/notifications/get-watchlist',
-  'GET /api/notifications/expo-status',
+  'GET /api/notifications/history?limit=&offset=&status=&unread=',
+  'POST /api/notifications/history/read',
+  'GET /api/notifications/expo-status (admin)',
   'GET /health',
-  'GET /debug/themeparkiq',
-  'GET /debug/static-characters/:park',
-  'GET /api/cache/status',
-  'POST /api/cache/reset/:type'
+  'GET /metrics',
+  'GET /debug/themeparkiq (admin)',
+  'GET /debug/static-characters/:park (admin)',
+  'GET /api/cache/status (admin)',
+  'POST /api/cache/reset/:type (admin)',
+  'GET /api/admin/audit (admin)'
 ],
     lastUpdated: new Date().toISOString(),
     dataState: {
@@ -814,53 +1624,61 @@ app.get('/', (req, res) => {
   });
 });
 
+// ========== RESORT REGISTRY ENDPOINT ==========
+app.get('/api/disney/resorts', (req, res) => {
+  res.json({
+    resorts: describeResorts(),
+    defaultResort: DEFAULT_RESORT,
+    requestId: req.id
+  });
+});
+
 // ========== FIXED LIVE PARK HOURS ENDPOINT ==========
-app.get('/api/disney/park-hours/:park', validatePark, async (req, res) => {
+// ?start=&end= (park-local YYYY-MM-DD, inclusive) pick the days; default is a week from today
+app.get(['/api/disney/park-hours/:park', '/api/disney/:resort/park-hours/:park'], validatePark, async (req, res) => {
   const park = req.park;
   const cacheKey = `park_hours_${park}`;
+
+  const range = resolveDateRange(req.query, parkDate(new Date(), req.parkInfo.timeZone));
+  if (range.error) {
+    return res.status(400).json({
+      error: range.error,
+      referenceId: req.id
+    });
+  }
+  const { start, end } = range;
   
   try {
-    // Check cache first
-    const cached = caches.parkHours.get(cacheKey);
-    if (cached) {
-      console.log(`💾 Cache hit for park hours: ${park} - Request ID: ${req.id}`);
-      res.setHeader('X-Data-Freshness', 'cached');
-      return res.json({ 
-        ...cached, 
-        fromCache: true,
-        requestId: req.id
-      });
-    }
-
-    console.log(`🕐 Fetching LIVE park hours for ${park} - Request ID: ${req.id}`);
-    
-    // FIXED: Try multiple working endpoints
-    const liveHoursData = await fetchLiveParkHours(park, req.id);
+    // Cache first - stale hours are served immediately and refreshed in the background
+    const { value: hoursData, status, ageSeconds } = await caches.parkHours.getOrRefresh(
+      cacheKey,
+      () => {
+        logger.info(`🕐 Fetching LIVE park hours for ${park}`, { park });
+        return loadParkHours(park, req.id);
+      }
+    );
     
-    if (liveHoursData) {
-      // Cache the live data
-      caches.parkHours.set(cacheKey, liveHoursData);
-      dataState.lastSuccessfulFetch.parkHours = new Date();
-      
-      // Calculate freshness
-      const minutesSinceUpdate = Math.floor(
-        (new Date() - dataState.lastSuccessfulFetch.parkHours) / 60000
-      );
-      res.setHeader('X-Data-Freshness', `${minutesSinceUpdate}min`);
-      
-      console.log(`✅ Got LIVE park hours for ${park} - Request ID: ${req.id}`);
+    if (hoursData) {
+      logger.info(`💾 Park hours for ${park} (${status}, ${ageSeconds}s old)`, { park });
+      setFreshnessHeaders(res, status, ageSeconds);
       res.json({ 
-        ...liveHoursData,
-        fromCache: false,
+        ...hoursData,
+        start,
+        end,
+        hours: inRange(hoursData.hours, start, end),
+        fromCache: status !== 'miss',
+        stale: status === 'stale',
         requestId: req.id
       });
     } else {
       // Fallback to static data if live fails
-      console.log(`⚠️ Live park hours failed, using fallback for ${park} - Request ID: ${req.id}`);
-      const fallbackHours = getStaticParkHours(park);
+      logger.warn(`⚠️ Live park hours failed, using fallback for ${park}`, { park });
+      const fallbackHours = getStaticParkHours(park, start, end);
       res.setHeader('X-Data-Freshness', 'fallback');
       res.json({ 
         ...fallbackHours,
+        start,
+        end,
         source: 'fallback',
         fromCache: false,
         requestId: req.id
@@ -868,8 +1686,8 @@ app.get('/api/disney/park-hours/:park', validatePark, async (req, res) => {
     }
     
   } catch (error) {
-    console.error(`❌ Park hours error for ${park}: ${error.message} - Request ID: ${req.id}`);
-    const fallback = getStaticParkHours(park);
+    logger.error(`❌ Park hours error for ${park}: ${error.message}`, { park, err: error });
+    const fallback = getStaticParkHours(park, start, end);
     res.setHeader('X-Data-Freshness', 'error');
     res.status(500).json({
       error: 'Failed to fetch park hours',
@@ -882,159 +1700,394 @@ app.get('/api/disney/park-hours/:park', validatePark, async (req, res) => {
   }
 });
 
-// ========== WAIT TIMES ENDPOINT ==========
-app.get('/api/disney/wait-times/:park?', validatePark, async (req, res) => {
+// ========== WAIT TIMES ENDPOINT ==========
+app.get(['/api/disney/wait-times/:park?', '/api/disney/:resort/wait-times/:park?'], validatePark, async (req, res) => {
+  const park = req.park;
+  const cacheKey = `wait_times_${park}`;
+  
+  try {
+    const { value: waitTimesData, status, ageSeconds } = await caches.waitTimes.getOrRefresh(
+      cacheKey,
+      () => {
+        logger.info(`🎢 Fetching wait times for ${park}`, { park });
+        return loadWaitTimes(park, req.id);
+      },
+      { shouldCache: isLiveWaitTimes }
+    );
+    
+    if (waitTimesData) {
+      logger.info(`💾 Wait times for ${park} (${status}, ${ageSeconds}s old)`, { park });
+      res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=60');
+      setFreshnessHeaders(res, status, ageSeconds);
+      if (waitTimesData.source === 'fallback') {
+        res.setHeader('X-Data-Freshness', 'fallback');
+      }
+      
+      res.json({ 
+        ...waitTimesData, 
+        fromCache: status !== 'miss',
+        stale: status === 'stale',
+        requestId: req.id
+      });
+    } else {
+      throw new Error('No wait times data available');
+    }
+    
+  } catch (error) {
+    logger.error(`❌ Wait times error for ${park}: ${error.message}`, { park, err: error });
+    const fallback = getFallbackWaitTimes(park);
+    res.setHeader('X-Data-Freshness', 'error');
+    res.status(500).json({
+      error: 'Failed to fetch wait times',
+      fallback,
+      referenceId: req.id,
+      source: 'fallback'
+    });
+  }
+});
+
+// ========== WAIT TIME STREAMING ENDPOINT (SSE) ==========
+// Every fresh wait times payload stored in the cache (route refreshes, the
+// pre-warm scheduler, background jobs) is diffed and pushed to subscribers
+const waitTimeStream = new WaitTimeStream();
+
+caches.waitTimes.on('set', (key, waitTimesData) => {
+  if (key.startsWith('wait_times_') && waitTimesData?.park) {
+    waitTimeStream.publish(waitTimesData.park, waitTimesData);
+  }
+});
+
+app.get(['/api/disney/stream/:park', '/api/disney/:resort/stream/:park'], validatePark, async (req, res) => {
+  const park = req.park;
+  const cacheKey = `wait_times_${park}`;
+  // EventSource sends Last-Event-ID on reconnect; the query param helps clients that can't set headers
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  logger.info(`📡 Stream subscriber for ${park}${lastEventId ? ` (resuming ${lastEventId})` : ''}`);
+
+  try {
+    await waitTimeStream.subscribe(park, req, res, {
+      lastEventId,
+      getSnapshot: async () => {
+        const { value } = await caches.waitTimes.getOrRefresh(
+          cacheKey,
+          () => loadWaitTimes(park, req.id),
+          { shouldCache: isLiveWaitTimes }
+        );
+        return value;
+      }
+    });
+  } catch (error) {
+    logger.error(`❌ Stream error for ${park}: ${error.message}`, { park, err: error });
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to open wait times stream',
+        referenceId: req.id
+      });
+    }
+    res.end();
+  }
+});
+
+// ========== ATTRACTION CATALOG ENDPOINT ==========
+// ?q= resolves a ride name (or nickname) to canonical attraction ids
+app.get(['/api/disney/attractions/:park', '/api/disney/:resort/attractions/:park'], validatePark, (req, res) => {
+  const park = req.park;
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const describe = (entry) => ({
+    id: entry.id,
+    name: entry.name,
+    aliases: entry.aliases,
+    sources: Object.keys(entry.sourceIds),
+    lastSeen: entry.lastSeen
+  });
+
+  if (!query) {
+    const attractions = attractionCatalog.list(park)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(describe);
+    return res.json({ park, attractions, count: attractions.length, requestId: req.id });
+  }
+
+  const results = attractionCatalog.search(park, query);
+  const { attraction } = attractionCatalog.resolve(park, query);
+
+  res.json({
+    park,
+    query,
+    match: attraction ? attraction.id : null,
+    results: results.map(({ entry, score }) => ({ ...describe(entry), score })),
+    requestId: req.id
+  });
+});
+
+// ========== WAIT TIME HISTORY ENDPOINT ==========
+app.get(['/api/disney/wait-times/:park/history', '/api/disney/:resort/wait-times/:park/history'], validatePark, async (req, res) => {
+  const park = req.park;
+  const { attraction } = req.query;
+
+  // Default window is "today so far" in park-local time
+  const from = req.query.from ? new Date(req.query.from) : startOfParkDay(req.parkInfo.timeZone);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const interval = req.query.interval ? parseInt(req.query.interval) : 15;
+
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({
+      error: 'from and to must be valid ISO timestamps with from <= to',
+      referenceId: req.id
+    });
+  }
+
+  if (to - from > MAX_HISTORY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      error: `from and to must be at most ${MAX_HISTORY_RANGE_DAYS} days apart`,
+      referenceId: req.id
+    });
+  }
+
+  if (isNaN(interval) || interval < 1 || interval > 1440) {
+    return res.status(400).json({
+      error: 'interval must be a number of minutes between 1 and 1440',
+      referenceId: req.id
+    });
+  }
+
+  try {
+    logger.info(`📈 Fetching wait time history for ${park}`, { park });
+    const samples = await historyStore.read(park, from, to);
+    const timeZone = req.parkInfo.timeZone;
+    const series = downsample(samples, { attraction, intervalMinutes: interval, timeZone });
+
+    res.json({
+      park,
+      timeZone,
+      from: toParkIso(from, timeZone),
+      to: toParkIso(to, timeZone),
+      intervalMinutes: interval,
+      attraction: attraction || null,
+      sampleCount: samples.length,
+      series,
+      requestId: req.id
+    });
+  } catch (error) {
+    logger.error(`❌ Wait time history error for ${park}: ${error.message}`, { park, err: error });
+    res.status(500).json({
+      error: 'Failed to fetch wait time history',
+      referenceId: req.id
+    });
+  }
+});
+
+// ========== WAIT TIME FORECAST ENDPOINT ==========
+const FORECAST_LOOKBACK_WEEKS = 8;
+
+const forecastProfiles = new ForecastProfiles({ historyStore, lookbackWeeks: FORECAST_LOOKBACK_WEEKS });
+
+/**
+ * The operating day `now` belongs to, with its hours in park-local minutes
+ * from that day's midnight (typical hours when upstream has none). Between
+ * midnight and an after-midnight close that is still yesterday: at 00:30
+ * before a 01:00 close, date is yesterday and nowMinutes is 1470.
+ */
+async function getOperatingDayHours(park, requestId, now = new Date()) {
+  const cacheKey = `park_hours_${park}`;
+  const { value: hoursData } = await caches.parkHours.getOrRefresh(cacheKey, () => loadParkHours(park, requestId));
+  const timeZone = getPark(park).timeZone;
+  const hours = hoursData?.hours || [];
+
+  const hoursFor = (date) => {
+    const entry = hours.find(other => other.date === date && other.type === 'operating') || getStaticParkHours(park, date).hours[0];
+    const openingMinutes = parseClockMinutes(entry.openingTime) ?? parseClockMinutes(getTypicalOpeningTime(park));
+    let closingMinutes = parseClockMinutes(entry.closingTime) ?? parseClockMinutes(getTypicalClosingTime(park));
+    // Closing at or after midnight (e.g. 01:00) belongs to this operating day
+    if (closingMinutes <= openingMinutes) closingMinutes += 1440;
+    return { date, openingMinutes, closingMinutes, source: hoursData ? hoursData.source : 'fallback' };
+  };
+
+  const today = parkDate(now, timeZone);
+  const { minutes } = getParkLocalParts(now, timeZone);
+  const yesterday = hoursFor(addDays(today, -1));
+  if (yesterday.closingMinutes > 1440 && minutes + 1440 < yesterday.closingMinutes) {
+    return { ...yesterday, nowMinutes: minutes + 1440 };
+  }
+  return { ...hoursFor(today), nowMinutes: minutes };
+}
+
+app.get(['/api/disney/wait-times/:park/forecast', '/api/disney/:resort/wait-times/:park/forecast'], validatePark, async (req, res) => {
   const park = req.park;
-  const cacheKey = `wait_times_${park}`;
-  
+  const { attraction } = req.query;
+  const slotMinutes = req.query.slot ? Number(req.query.slot) : 30;
+
+  if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 120 || slotMinutes % PROFILE_SLOT_MINUTES !== 0) {
+    return res.status(400).json({
+      error: `slot must be a multiple of ${PROFILE_SLOT_MINUTES} minutes between 15 and 120`,
+      referenceId: req.id
+    });
+  }
+
   try {
-    const cached = caches.waitTimes.get(cacheKey);
+    // Key the cache on what the query resolves to, never on raw query text
+    let attractionId = null;
+    if (attraction) {
+      const { attraction: match, candidates } = await resolveWatchedAttraction(park, { rideName: attraction }, req.id);
+      if (!match) {
+        const { status, body } = unresolvedAttractionError(park, attraction, candidates, req.id);
+        return res.status(status).json(body);
+      }
+      attractionId = match.id;
+    }
+
+    // ...and on the park-local date, so yesterday's forecast never outlives midnight
+    const now = new Date();
+    const cacheKey = `forecast_${park}_${parkDate(now, req.parkInfo.timeZone)}_${slotMinutes}_${attractionId || 'all'}`;
+
+    const cached = caches.forecast.get(cacheKey);
     if (cached) {
-      console.log(`💾 Cache hit for wait times: ${park} - Request ID: ${req.id}`);
-      res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=60');
+      logger.info(`💾 Cache hit for forecast: ${park}`, { park });
       res.setHeader('X-Data-Freshness', 'cached');
-      return res.json({ 
-        ...cached, 
-        fromCache: true,
-        requestId: req.id
-      });
+      return res.json({ ...cached, fromCache: true, requestId: req.id });
     }
 
-    console.log(`🎢 Fetching wait times for ${park} - Request ID: ${req.id}`);
-    const waitTimesData = await waitTimesBreaker.fire(park, req.id);
-    
-    if (waitTimesData) {
-      caches.waitTimes.set(cacheKey, waitTimesData);
-      res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=60');
-      
-      // Calculate freshness
-      const minutesSinceUpdate = Math.floor(
-        (new Date() - new Date(waitTimesData.lastUpdated)) / 60000
-      );
-      res.setHeader('X-Data-Freshness', `${minutesSinceUpdate}min`);
-      
-      res.json({ 
-        ...waitTimesData, 
-        fromCache: false,
-        requestId: req.id
-      });
-    } else {
-      throw new Error('No wait times data available');
-    }
-    
+    logger.info(`🔮 Building wait time forecast for ${park}`, { park });
+
+    const [profile, hours] = await Promise.all([
+      forecastProfiles.get(park, req.parkInfo.timeZone, now),
+      getOperatingDayHours(park, req.id, now)
+    ]);
+
+    const forecast = buildForecast({
+      profile,
+      timeZone: req.parkInfo.timeZone,
+      date: hours.date,
+      nowMinutes: hours.nowMinutes,
+      openingMinutes: hours.openingMinutes,
+      closingMinutes: hours.closingMinutes,
+      slotMinutes,
+      attractionId
+    });
+
+    const result = {
+      park,
+      resort: req.resort,
+      date: hours.date,
+      ...forecast,
+      hoursSource: hours.source,
+      historySamples: profile.sampleCount,
+      lookbackWeeks: FORECAST_LOOKBACK_WEEKS,
+      generatedAt: now.toISOString()
+    };
+
+    caches.forecast.set(cacheKey, result);
+    res.setHeader('X-Data-Freshness', '0min');
+    res.json({ ...result, fromCache: false, requestId: req.id });
   } catch (error) {
-    console.error(`❌ Wait times error for ${park}: ${error.message} - Request ID: ${req.id}`);
-    const fallback = getFallbackWaitTimes(park);
-    res.setHeader('X-Data-Freshness', 'error');
+    logger.error(`❌ Forecast error for ${park}: ${error.message}`, { park, err: error });
     res.status(500).json({
-      error: 'Failed to fetch wait times',
-      fallback,
-      referenceId: req.id,
-      source: 'fallback'
+      error: 'Failed to build wait time forecast',
+      referenceId: req.id
     });
   }
 });
 
 // ========== ENHANCED ENTERTAINMENT ENDPOINT ==========
-app.get('/api/disney/entertainment/:park?', validatePark, async (req, res) => {
+// Combined static + live + scraped entertainment for a park (cached per park)
+async function buildEntertainmentResult(park, requestId) {
+  logger.info(`🎭 Fetching entertainment for ${park}`, { park });
+  
+  // Static character meets
+  const staticCharacterMeets = getStaticCharacterMeets(park);
+  
+  // Try to fetch additional entertainment data (FIXED VERSION)
+  const [baseEntertainment, characterData] = await Promise.all([
+    fetchEntertainmentData(park, requestId).catch(err => {
+      logger.warn(`⚠️ Base entertainment fetch failed: ${err.message}`, { err });
+      return null;
+    }),
+    scrapeThemeParkIQCharacters(park, requestId).catch(err => {
+      logger.warn(`⚠️ Character scraping failed: ${err.message}`, { err });
+      return { characters: [] };
+    })
+  ]);
+  
+  let allEntertainment = [...staticCharacterMeets];
+  
+  if (baseEntertainment?.entertainment) {
+    allEntertainment.push(...baseEntertainment.entertainment);
+  }
+  if (characterData?.characters) {
+    allEntertainment.push(...characterData.characters);
+  }
+  
+  // Only add fallback if we don't have good live data
+  let fallbackEntertainment = null;
+  if (!baseEntertainment?.entertainment || baseEntertainment.entertainment.length < 5) {
+    logger.warn(`⚠️ Adding fallback entertainment - live data insufficient`);
+    fallbackEntertainment = getFallbackEntertainment(park);
+    if (fallbackEntertainment?.entertainment) {
+      allEntertainment.push(...fallbackEntertainment.entertainment);
+    }
+  } else {
+    logger.info(`✅ Using live entertainment data only`);
+  }
+  
+  // Deduplicate entries
+  const uniqueEntertainment = [...new Map(allEntertainment.map(item => 
+    [item.id, item])).values()];
+  
+  // FORMAT FOR OPENAI CONTEXT
+  const characterMeetData = uniqueEntertainment
+    .filter(item => item.type === 'character_meet')
+    .map(meet => ({
+      id: meet.id,
+      name: meet.name,
+      type: meet.type,
+      times: meet.times,
+      showtimes: meet.showtimes,
+      location: meet.location,
+      characters: meet.characters,
+      duration: meet.duration
+    }));
+  
+  dataState.lastSuccessfulFetch.entertainment = new Date();
+  logger.info(`✅ Enhanced entertainment data for ${park}: ${uniqueEntertainment.length} total items`, { park });
+  
+  return {
+    park,
+    date: parkDate(new Date(), getParkInfo(park).timeZone), // Park-local day the showtimes belong to
+    entertainment: uniqueEntertainment,
+    characterMeets: characterMeetData,
+    sources: {
+      base: baseEntertainment?.source || 'fallback',
+      characters: characterData?.characters?.length > 0 ? 'theme_park_iq' : 'static',
+      staticCount: staticCharacterMeets.length,
+      fallbackCount: fallbackEntertainment?.entertainment?.length || 0
+    },
+    totalItems: uniqueEntertainment.length,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+app.get(['/api/disney/entertainment/:park?', '/api/disney/:resort/entertainment/:park?'], validatePark, async (req, res) => {
   const park = req.park;
   const cacheKey = `entertainment_${park}`;
   
   try {
-    const cached = caches.entertainment.get(cacheKey);
-    if (cached) {
-      console.log(`💾 Cache hit for entertainment: ${park} - Request ID: ${req.id}`);
-      res.setHeader('X-Data-Freshness', 'cached');
-      return res.json({ 
-        ...cached, 
-        fromCache: true,
-        requestId: req.id
-      });
-    }
-
-    console.log(`🎭 Fetching entertainment for ${park} - Request ID: ${req.id}`);
-    
-    // Static character meets
-    const staticCharacterMeets = getStaticCharacterMeets(park);
-    
-    // Try to fetch additional entertainment data (FIXED VERSION)
-    const [baseEntertainment, characterData] = await Promise.all([
-      fetchEntertainmentData(park, req.id).catch(err => {
-        console.log(`⚠️ Base entertainment fetch failed: ${err.message} - Request ID: ${req.id}`);
-        return null;
-      }),
-      scrapeThemeParkIQCharacters(park, req.id).catch(err => {
-        console.log(`⚠️ Character scraping failed: ${err.message} - Request ID: ${req.id}`);
-        return { characters: [] };
-      })
-    ]);
-    
-    let allEntertainment = [...staticCharacterMeets];
-    
-    if (baseEntertainment?.entertainment) {
-      allEntertainment.push(...baseEntertainment.entertainment);
-    }
-    if (characterData?.characters) {
-      allEntertainment.push(...characterData.characters);
-    }
-    
-    // Only add fallback if we don't have good live data
-if (!baseEntertainment?.entertainment || baseEntertainment.entertainment.length < 5) {
-  console.log(`⚠️ Adding fallback entertainment - live data insufficient - Request ID: ${req.id}`);
-  const fallbackEntertainment = getFallbackEntertainment(park);
-  if (fallbackEntertainment?.entertainment) {
-    allEntertainment.push(...fallbackEntertainment.entertainment);
-  }
-} else {
-  console.log(`✅ Using live entertainment data only - Request ID: ${req.id}`);
-}
-    
-    // Deduplicate entries
-    const uniqueEntertainment = [...new Map(allEntertainment.map(item => 
-      [item.id, item])).values()];
-    
-    // FORMAT FOR OPENAI CONTEXT
-    const characterMeetData = uniqueEntertainment
-      .filter(item => item.type === 'character_meet')
-      .map(meet => ({
-        id: meet.id,
-        name: meet.name,
-        type: meet.type,
-        times: meet.times,
-        location: meet.location,
-        characters: meet.characters,
-        duration: meet.duration
-      }));
-    
-    const result = {
-      park,
-      entertainment: uniqueEntertainment,
-      characterMeets: characterMeetData,
-      sources: {
-        base: baseEntertainment?.source || 'fallback',
-        characters: characterData?.characters?.length > 0 ? 'theme_park_iq' : 'static',
-        staticCount: staticCharacterMeets.length,
-        fallbackCount: fallbackEntertainment?.entertainment?.length || 0
-      },
-      totalItems: uniqueEntertainment.length,
-      lastUpdated: new Date().toISOString(),
-      requestId: req.id
-    };
-    
-    caches.entertainment.set(cacheKey, result);
-    dataState.lastSuccessfulFetch.entertainment = new Date();
-    
-    // Calculate freshness
-    const minutesSinceUpdate = Math.floor(
-      (new Date() - dataState.lastSuccessfulFetch.entertainment) / 60000
+    const { value: result, status, ageSeconds } = await caches.entertainment.getOrRefresh(
+      cacheKey,
+      () => buildEntertainmentResult(park, req.id)
     );
-    res.setHeader('X-Data-Freshness', `${minutesSinceUpdate}min`);
     
-    console.log(`✅ Enhanced entertainment data for ${park}: ${uniqueEntertainment.length} total items - Request ID: ${req.id}`);
-    res.json(result);
+    logger.info(`💾 Entertainment for ${park} (${status}, ${ageSeconds}s old)`, { park });
+    setFreshnessHeaders(res, status, ageSeconds);
+    res.json({
+      ...result,
+      fromCache: status !== 'miss',
+      stale: status === 'stale',
+      requestId: req.id
+    });
     
   } catch (error) {
-    console.error(`❌ Entertainment error for ${park}: ${error.message} - Request ID: ${req.id}`);
+    logger.error(`❌ Entertainment error for ${park}: ${error.message}`, { park, err: error });
     const fallback = getFallbackEntertainment(park);
     res.setHeader('X-Data-Freshness', 'error');
     res.status(500).json({
@@ -1046,10 +2099,10 @@ if (!baseEntertainment?.entertainment || baseEntertainment.entertainment.length
 });
 
 // 🧚‍♀️ CHARACTER MEETS ENDPOINT - WITH LIVE DATA
-app.get('/api/disney/character-meets/:park', validatePark, async (req, res) => {
+app.get(['/api/disney/character-meets/:park', '/api/disney/:resort/character-meets/:park'], validatePark, async (req, res) => {
   const park = req.park;
   
-  console.log(`🧚‍♀️ Fetching character meets for ${park} - Request ID: ${req.id}`);
+  logger.info(`🧚‍♀️ Fetching character meets for ${park}`, { park });
 
   try {
     // Get static character meet data
@@ -1061,7 +2114,7 @@ app.get('/api/disney/character-meets/:park', validatePark, async (req, res) => {
       const scrapedData = await scrapeThemeParkIQCharacters(park, req.id);
       liveCharacters = scrapedData.characters || [];
     } catch (error) {
-      console.log(`⚠️ Live character scrape failed: ${error.message} - Request ID: ${req.id}`);
+      logger.warn(`⚠️ Live character scrape failed: ${error.message}`, { err: error });
     }
     
     // Combine static and live data
@@ -1084,7 +2137,7 @@ app.get('/api/disney/character-meets/:park', validatePark, async (req, res) => {
       fromCache: false
     };
 
-    console.log(`✅ Returning ${uniqueCharacters.length} character meets for ${park} - Request ID: ${req.id}`);
+    logger.info(`✅ Returning ${uniqueCharacters.length} character meets for ${park}`, { park });
     
     // Calculate freshness
     const minutesSinceUpdate = Math.floor(
@@ -1095,7 +2148,7 @@ app.get('/api/disney/character-meets/:park', validatePark, async (req, res) => {
     res.json(response);
 
   } catch (error) {
-    console.error(`❌ Character meets error for ${park}: ${error.message} - Request ID: ${req.id}`);
+    logger.error(`❌ Character meets error for ${park}: ${error.message}`, { park, err: error });
     res.setHeader('X-Data-Freshness', 'error');
     res.status(500).json({ 
       error: 'Failed to fetch character meets',
@@ -1108,28 +2161,33 @@ app.get('/api/disney/character-meets/:park', validatePark, async (req, res) => {
 // ========== DEBUG ENDPOINTS ==========
 app.get('/debug/themeparkiq', async (req, res) => {
   try {
-    console.log(`🐛 DEBUG: Testing ThemeParkIQ scraper - Request ID: ${req.id}`);
+    logger.info(`🐛 DEBUG: Testing ThemeParkIQ scraper`);
     
+    const park = req.query.park || 'magic-kingdom';
     const startTime = Date.now();
-    const result = await scrapeThemeParkIQCharacters('magic-kingdom', req.id);
+    // Always a live scrape - this endpoint exists to test the scraper itself
+    const byPark = await fetchThemeParkIQSchedule(req.id);
     const duration = Date.now() - startTime;
+    const characters = byPark[park] || [];
     
     const debugInfo = {
-      success: result.characters.length > 0,
-      characterCount: result.characters.length,
+      success: characters.length > 0,
+      park,
+      characterCount: characters.length,
+      parkCounts: Object.fromEntries(Object.entries(byPark).map(([slug, list]) => [slug, list.length])),
       duration: `${duration}ms`,
-      sampleCharacters: result.characters.slice(0, 3),
-      allCharacters: result.characters,
+      sampleCharacters: characters.slice(0, 3),
+      allCharacters: characters,
       timestamp: new Date().toISOString(),
       requestId: req.id
     };
     
-    console.log(`🐛 DEBUG RESULT: ${result.characters.length} characters found in ${duration}ms - Request ID: ${req.id}`);
+    logger.info(`🐛 DEBUG RESULT: ${characters.length} characters found for ${park} in ${duration}ms`, { park, source: 'themeparkiq', durationMs: duration });
     
     res.json(debugInfo);
     
   } catch (error) {
-    console.error(`🐛 DEBUG ERROR: ${error.message} - Request ID: ${req.id}`);
+    logger.error(`🐛 DEBUG ERROR: ${error.message}`, { err: error });
     res.status(500).json({
       error: 'Debug endpoint failed',
       message: error.message,
@@ -1151,14 +2209,14 @@ app.get('/debug/static-characters/:park?', validatePark, (req, res) => {
 });
 
 // ========== CACHE MANAGEMENT ENDPOINTS ==========
-app.post('/api/cache/reset/:type', (req, res) => {
+app.post('/api/cache/reset/:type', requireAdmin('operator'), (req, res) => {
   const { type } = req.params;
   
   if (caches[type]) {
     const keyCount = caches[type].keys().length;
     caches[type].flushAll();
     
-    console.log(`🗑️ Cache cleared: ${type} (${keyCount} keys) - Request ID: ${req.id}`);
+    logger.info(`🗑️ Cache cleared: ${type} (${keyCount} keys)`);
     res.json({ 
       status: `${type} cache cleared`,
       clearedKeys: keyCount,
@@ -1188,6 +2246,14 @@ app.get('/api/cache/status', (req, res) => {
       waitTimes: { 
         keys: caches.waitTimes.keys().length, 
         stats: caches.waitTimes.getStats() 
+      },
+      forecast: {
+        keys: caches.forecast.keys().length,
+        stats: caches.forecast.getStats()
+      },
+      characters: {
+        keys: caches.characters.keys().length,
+        stats: caches.characters.getStats()
       }
     },
     dataState,
@@ -1196,6 +2262,93 @@ app.get('/api/cache/status', (req, res) => {
   });
 });
 
+// ========== ADMIN ENDPOINTS ==========
+// Admin requests, newest first (filters: caller, since, limit 1-1000)
+app.get('/api/admin/audit', (req, res) => {
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+  const { caller, since } = req.query;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      error: 'limit must be an integer between 1 and 1000',
+      referenceId: req.id
+    });
+  }
+  if (since && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      error: 'since must be an ISO timestamp',
+      referenceId: req.id
+    });
+  }
+
+  res.json({
+    ...adminAuth.audit.list({ limit, caller, since: since && new Date(since).toISOString() }),
+    requestId: req.id
+  });
+});
+
+// Effective config with secrets redacted; origins say where each value came
+// from (flag, env, file or default)
+app.get('/api/admin/config', (req, res) => {
+  res.json({
+    config: redactConfig(config),
+    origins: config.meta.origins,
+    configFile: config.meta.file,
+    requestId: req.id
+  });
+});
+
+// ========== PROMETHEUS METRICS ENDPOINT ==========
+const cacheRequestsTotal = metrics.counter('cache_requests_total', 'Cache lookups by cache and result (hit, stale, miss)', ['cache', 'result']);
+const cacheKeys = metrics.gauge('cache_keys', 'Entries currently held per cache', ['cache']);
+const breakerState = metrics.gauge('circuit_breaker_state', 'Circuit breaker state (1 for the current state)', ['breaker', 'state']);
+const upstreamErrorStreak = metrics.gauge('upstream_consecutive_errors', 'Upstream failures since the last success, by data kind', ['kind']);
+const pushReceiptsTotal = metrics.counter('push_receipts_total', 'Expo push receipts by result (delivered or the error code)', ['result']);
+
+const BREAKER_STATES = ['closed', 'half-open', 'open'];
+const setBreakerState = (breaker, current) => {
+  for (const state of BREAKER_STATES) breakerState.set({ breaker, state }, state === current ? 1 : 0);
+};
+
+metrics.collect(() => {
+  for (const [name, cache] of Object.entries(caches)) {
+    const stats = cache.getStats();
+    cacheRequestsTotal.set({ cache: name, result: 'hit' }, stats.hits);
+    cacheRequestsTotal.set({ cache: name, result: 'stale' }, stats.staleHits || 0);
+    cacheRequestsTotal.set({ cache: name, result: 'miss' }, stats.misses);
+    cacheKeys.set({ cache: name }, cache.keys().length);
+  }
+
+  setBreakerState('waitTimes', waitTimesBreaker.opened ? 'open' : waitTimesBreaker.halfOpen ? 'half-open' : 'closed');
+  for (const source of sourceRegistry.describe()) setBreakerState(source.id, source.breakerState);
+
+  for (const [kind, count] of Object.entries(dataState.errorCounts)) upstreamErrorStreak.set({ kind }, count);
+
+  const delivery = pushReceipts.stats();
+  pushReceiptsTotal.set({ result: 'delivered' }, delivery.delivered);
+  for (const [code, count] of Object.entries(delivery.receiptErrors)) pushReceiptsTotal.set({ result: code }, count);
+});
+
+// Open like /health unless METRICS_TOKEN is set, then scrapers send it as a bearer token
+const METRICS_TOKEN = config.metrics.token;
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const presented = Buffer.from(parseBearer(req.get('Authorization')) || '');
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+      res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+      return res.status(401).json({
+        error: 'Metrics token required',
+        referenceId: req.id
+      });
+    }
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 // ========== HEALTH CHECK ENDPOINT ==========
 app.get('/health', (req, res) => {
   const status = {
@@ -1206,7 +2359,9 @@ app.get('/health', (req, res) => {
     caches: {
       parkHours: caches.parkHours.keys().length,
       entertainment: caches.entertainment.keys().length,
-      waitTimes: caches.waitTimes.keys().length
+      waitTimes: caches.waitTimes.keys().length,
+      forecast: caches.forecast.keys().length,
+      characters: caches.characters.keys().length
     },
     lastSuccessfulFetch: dataState.lastSuccessfulFetch,
     errorCounts: dataState.errorCounts,
@@ -1216,6 +2371,9 @@ app.get('/health', (req, res) => {
         stats: waitTimesBreaker.stats
       }
     },
+    upstreamMode: upstreamHttp.mode,
+    sources: sourceRegistry.describe(),
+    streams: waitTimeStream.stats(),
     enhancements: [
       'FIXED: Real-time entertainment data from ThemeParks.wiki API',
       'Correct Happily Ever After times (10 PM, not 9 PM)',
@@ -1233,19 +2391,21 @@ app.get('/health', (req, res) => {
 });
 
 // ========== FIXED CHARACTER SCRAPING FUNCTION ==========
-async function scrapeThemeParkIQCharacters(park, requestId) {
-  if (park !== 'magic-kingdom') {
-    return { characters: [] };
-  }
+// One fetch of the schedule page covers every WDW park; concurrent callers share it
+let themeParkIQInFlight = null;
 
-  try {
-    console.log(`🧚‍♀️ Starting FIXED ThemeParkIQ scrape for ${park} - Request ID: ${requestId}`);
+async function fetchThemeParkIQSchedule(requestId) {
+  if (themeParkIQInFlight) return themeParkIQInFlight;
+
+  const endFetchTimer = upstreamFetchDuration.startTimer({ source: 'themeparkiq', kind: 'characters' });
+  themeParkIQInFlight = (async () => {
+    logger.info(`🧚‍♀️ Starting FIXED ThemeParkIQ scrape for all parks`, { source: 'themeparkiq' });
     
     // FIXED: Enhanced headers to avoid blocking
-    const response = await axios.get(
-      'https://www.themeparkiq.com/disneyworld/character/schedule',
+    const response = await upstreamHttp.get(
+      THEMEPARKIQ_SCHEDULE_URL,
       {
-        timeout: 15000,
+        timeout: config.upstream.scrapeTimeoutMs,
         headers: { 
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -1266,8 +2426,11 @@ async function scrapeThemeParkIQCharacters(park, requestId) {
     );
 
     // Response diagnostics
-    console.log(`📊 ThemeParkIQ Response: ${response.status} ${response.statusText}`);
-    console.log(`📏 Response size: ${response.data.length} bytes - Request ID: ${requestId}`);
+    logger.info(`📊 ThemeParkIQ Response: ${response.status} ${response.statusText}`, {
+      source: 'themeparkiq',
+      status: response.status,
+      bytes: response.data.length
+    });
     
     // Check for blocking
     if (response.status === 403) throw new Error('HTTP 403 Forbidden');
@@ -1275,136 +2438,88 @@ async function scrapeThemeParkIQCharacters(park, requestId) {
     if (response.data.includes('Access Denied')) throw new Error('Blocked by access control');
     if (response.status !== 200) throw new Error(`Unexpected HTTP status: ${response.status}`);
 
-    const $ = cheerio.load(response.data);
-    const liveCharacters = [];
+    const byPark = parseCharacterSchedule(response.data);
 
-    // Parse character data
-    $('.character-schedule-container').each((_, container) => {
-      const parkName = $(container).find('h2, h3').text().trim();
-      if (!parkName.toLowerCase().includes('magic kingdom')) return;
-      
-      $(container).find('.character-card, .character-schedule').each((_, card) => {
-        const name = $(card).find('.character-name').text().trim();
-        const location = $(card).find('.character-location').text().trim();
-        const times = [];
-        
-        $(card).find('.character-time-slot, .character-time, .time').each((_, slot) => {
-          const timeText = $(slot).text().trim();
-          if (timeText) times.push(timeText);
-        });
-        
-        if (name) {
-          liveCharacters.push({
-            id: `live_${name.replace(/\W+/g, '_').toLowerCase()}`,
-            name,
-            type: 'character_meet',
-            times: times.length ? times : ['Check Times'],
-            location: location || 'Magic Kingdom',
-            characters: [name],
-            source: 'theme_park_iq',
-            duration: 20
-          });
-        }
-      });
-    });
+    // Cache every park from the single fetch
+    for (const [parkSlug, characters] of Object.entries(byPark)) {
+      byPark[parkSlug] = withShowtimes(characters, parkSlug);
+      caches.characters.set(`characters_${parkSlug}`, { characters: byPark[parkSlug] });
+    }
 
-    console.log(`✅ ThemeParkIQ scrape completed: ${liveCharacters.length} characters found - Request ID: ${requestId}`);
-    return { characters: liveCharacters };
-    
+    const total = Object.values(byPark).reduce((sum, list) => sum + list.length, 0);
+    logger.info(`✅ ThemeParkIQ scrape completed: ${total} characters across ${Object.keys(byPark).length} parks`, { source: 'themeparkiq' });
+    return byPark;
+  })();
+  themeParkIQInFlight.then(() => endFetchTimer({ outcome: 'success' }), () => endFetchTimer({ outcome: 'error' }));
+
+  try {
+    return await themeParkIQInFlight;
+  } finally {
+    themeParkIQInFlight = null;
+  }
+}
+
+async function scrapeThemeParkIQCharacters(park, requestId) {
+  if (!THEMEPARKIQ_PARKS.includes(park)) {
+    return { characters: [] };
+  }
+
+  const cached = caches.characters.get(`characters_${park}`);
+  if (cached) {
+    logger.info(`💾 Cache hit for characters: ${park}`, { park });
+    return cached;
+  }
+
+  try {
+    const byPark = await fetchThemeParkIQSchedule(requestId);
+    return { characters: byPark[park] || [] };
   } catch (error) {
-    console.error(`❌ ThemeParkIQ scrape FAILED: ${error.message} - Request ID: ${requestId}`);
+    logger.error(`❌ ThemeParkIQ scrape FAILED: ${error.message}`, { park, source: 'themeparkiq', err: error });
     return { characters: [] };
   }
 }
 
 // ========== FIXED LIVE PARK HOURS FUNCTIONS ==========
 async function fetchLiveParkHours(park, requestId) {
-  const parkId = getParkId(park);
-  
-  // FIXED: Try multiple working endpoints instead of broken calendar.json
-  const sources = [
-    {
-      url: `https://queue-times.com/parks/${parkId}.json`,
-      name: 'queue_times_park_info',
-      parser: 'queue_times_info'
-    },
-    {
-      url: `https://api.themeparks.wiki/v1/destinations/WaltDisneyWorld/parks/${getThemeParksWikiId(park)}/schedule`,
-      name: 'themeparks_wiki',
-      parser: 'themeparks_wiki'
-    }
-  ];
-  
-  for (const source of sources) {
-    try {
-      console.log(`🌐 Trying park hours source: ${source.url} - Request ID: ${requestId}`);
-      
-      const response = await axios.get(source.url, {
-        timeout: 8000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-          'Accept': 'application/json, */*',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
-      });
-      
-      if (response.status === 200 && response.data) {
-        console.log(`✅ Got response from ${source.url} - Request ID: ${requestId}`);
-        return parseHoursData(response.data, park, source.parser);
-      }
-      
-    } catch (error) {
-      console.error(`❌ ${source.name} failed: ${error.message} - Request ID: ${requestId}`);
-      continue;
-    }
+  // Sources (ThemeParks.wiki schedule, Queue-Times park info) come from the registry
+  try {
+    const { data, adapterId } = await sourceRegistry.fetch('parkHours', park, requestId);
+    logger.info(`✅ Got park hours from ${adapterId}`, { park, source: adapterId });
+    return data;
+  } catch (error) {
+    logger.warn(`⚠️ All park hours sources failed for ${park}`, { park });
+    return null;
   }
-  
-  console.log(`⚠️ All park hours sources failed for ${park} - Request ID: ${requestId}`);
-  return null;
 }
 
+// Full schedule as typed entries (see lib/park-hours.js); routes pick the date range.
+// Null when the response has no usable hours, so the registry tries the next source.
 function parseHoursData(data, park, parser) {
   try {
+    const timeZone = getParkInfo(park).timeZone;
+    const today = parkDate(new Date(), timeZone);
     let hours = [];
     
     if (parser === 'queue_times_info') {
       // Extract hours from Queue-Times park info
-      if (data.opening_time && data.closing_time) {
-        hours = [{
-          date: new Date().toISOString().split('T')[0],
-          openingTime: data.opening_time,
-          closingTime: data.closing_time,
-          type: 'Operating',
-          specialHours: null
-        }];
+      const opening = parseClockMinutes(data.opening_time);
+      const closing = parseClockMinutes(data.closing_time);
+      if (opening !== null && closing !== null) {
+        hours = [operatingEntry(today, formatClock(opening), formatClock(closing), timeZone)];
       }
     } else if (parser === 'themeparks_wiki') {
-      // Extract hours from ThemeParks.wiki
+      // Every window ThemeParks.wiki publishes - regular, early entry, extended evening, events
       if (data.schedule && Array.isArray(data.schedule)) {
-        hours = data.schedule.slice(0, 7).map(day => ({
-          date: day.date,
-          openingTime: day.openingTime ? day.openingTime.slice(11, 16) : '09:00',
-          closingTime: day.closingTime ? day.closingTime.slice(11, 16) : '21:00',
-          type: day.type || 'Operating',
-          specialHours: day.specialHours ? 'Special Hours' : null
-        }));
+        hours = parseThemeParksSchedule(data.schedule, timeZone);
       }
     }
     
-    // If no specific hours found, infer from typical patterns
-    if (hours.length === 0) {
-      const today = new Date().toISOString().split('T')[0];
-      hours = [{
-        date: today,
-        openingTime: getTypicalOpeningTime(park),
-        closingTime: getTypicalClosingTime(park),
-        type: 'Operating',
-        specialHours: null
-      }];
-    }
+    // Typical hours are the route's fallback, not this source's data
+    if (hours.length === 0) return null;
     
     return {
       park,
+      timeZone,
       hours,
       source: parser,
       dataQuality: 'live',
@@ -1412,27 +2527,21 @@ function parseHoursData(data, park, parser) {
     };
     
   } catch (error) {
-    console.error(`Error parsing hours data: ${error.message}`);
+    logger.error(`Error parsing hours data: ${error.message}`, { err: error });
     return null;
   }
 }
 
 // ========== FIXED ENTERTAINMENT DATA FUNCTION ==========
 async function fetchEntertainmentData(park, requestId) {
-  // Only Magic Kingdom for now - quick win!
-  if (park !== 'magic-kingdom') {
-    console.log(`Entertainment data not yet implemented for ${park} - Request ID: ${requestId}`);
-    return null;
-  }
-
-  const entityId = '75ea578a-adc8-4116-a54d-dccb60765ef9'; // Magic Kingdom
-  const cacheKey = `entertainment_${park}`;
+  // Raw live data, kept apart from the combined per-park result the route caches
+  const cacheKey = `entertainment_live_${park}`;
 
   try {
     // Check cache first (FIXED: using your caches.entertainment)
     const cached = caches.entertainment.get(cacheKey);
     if (cached) {
-      console.log(`Using cached entertainment data for ${park} - Request ID: ${requestId}`);
+      logger.info(`Using cached entertainment data for ${park}`, { park });
       return {
         park,
         entertainment: cached.entertainment,
@@ -1441,52 +2550,36 @@ async function fetchEntertainmentData(park, requestId) {
       };
     }
 
-    // Fetch fresh data from ThemeParks.wiki API (FIXED: using axios)
-    console.log(`Fetching fresh entertainment data for ${park}... - Request ID: ${requestId}`);
-    
-    const response = await axios.get(`https://api.themeparks.wiki/v1/entity/${entityId}/live`, {
-      timeout: 8000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-        'Accept': 'application/json, */*',
-        'Accept-Language': 'en-US,en;q=0.9'
-      }
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`API response not ok: ${response.status}`);
-    }
-
-    const rawData = response.data;
+    // Fetch and parse fresh data through the source registry (ThemeParks.wiki live)
+    logger.info(`Fetching fresh entertainment data for ${park}...`, { park });
     
-    // Parse and format the entertainment data
-    const entertainmentData = parseThemeParksEntertainment(rawData);
+    const { data: entertainmentData, source } = await sourceRegistry.fetch('entertainment', park, requestId);
     
     const result = {
       park,
       entertainment: entertainmentData,
-      source: 'live',
+      source,
       lastUpdated: new Date().toISOString()
     };
     
     // Cache the results (FIXED: using your caches.entertainment)
     caches.entertainment.set(cacheKey, result);
 
-    console.log(`✅ Fresh entertainment data cached for ${park}: ${entertainmentData.length} items - Request ID: ${requestId}`);
+    logger.info(`✅ Fresh entertainment data cached for ${park}: ${entertainmentData.length} items`, { park });
     return result;
 
   } catch (error) {
-    console.error(`❌ Failed to fetch entertainment data for ${park}: ${error.message} - Request ID: ${requestId}`);
+    logger.error(`❌ Failed to fetch entertainment data for ${park}: ${error.message}`, { park, err: error });
     
-    // Try to return cached data even if expired
-    const staleCache = caches.entertainment.get(cacheKey);
+    // Try to return cached data even if expired (kept past TTL by the SWR cache)
+    const staleCache = caches.entertainment.getStale(cacheKey);
     if (staleCache) {
-      console.log(`Using stale cached data for ${park} - Request ID: ${requestId}`);
+      logger.info(`Using stale cached data for ${park}`, { park });
       return staleCache;
     }
     
     // Complete fallback
-    console.log(`No cached data available for ${park}, using fallback - Request ID: ${requestId}`);
+    logger.info(`No cached data available for ${park}, using fallback`, { park });
     const fallback = getFallbackEntertainment(park);
     return {
       park,
@@ -1498,16 +2591,19 @@ async function fetchEntertainmentData(park, requestId) {
 }
 
 // ========== NEW ENTERTAINMENT PARSER FUNCTION ==========
-function parseThemeParksEntertainment(rawData) {
+function parseThemeParksEntertainment(rawData, park) {
   // NEW - Fixed to use liveData property:
 if (!rawData || !rawData.liveData || !Array.isArray(rawData.liveData)) {
-  console.warn('Invalid raw data structure. Received:', typeof rawData);
-  console.warn('Expected liveData array. Keys found:', Object.keys(rawData || {}));
+  logger.warn('Invalid raw data structure: expected a liveData array', {
+    park,
+    receivedType: typeof rawData,
+    keys: Object.keys(rawData || {})
+  });
   return [];
 }
 
 const entertainment = [];
-const now = new Date();
+const timeZone = getParkInfo(park).timeZone;
 
 rawData.liveData.forEach(item => {
     // Only process SHOW entities (entertainment)
@@ -1516,42 +2612,32 @@ rawData.liveData.forEach(item => {
     // Skip if no showtimes
     if (!item.showtimes || !Array.isArray(item.showtimes)) return;
 
-    // Parse each showtime
-    const times = item.showtimes.map(showtime => {
-      const startTime = new Date(showtime.startTime);
-      return formatTimeFixed(startTime); // FIXED function name
-    }).filter(time => time); // Remove invalid times
-
-    if (times.length === 0) return; // Skip if no valid times
-
-    // Determine show type
-    let type = 'show';
-if (item.name.toLowerCase().includes('fireworks') || 
-    item.name.toLowerCase().includes('happily ever after') ||
-    item.name.toLowerCase().includes('disney starlight')) {
-  type = 'fireworks';
-
-    } else if (item.name.toLowerCase().includes('parade')) {
-      type = 'parade';
-    } else if (item.name.toLowerCase().includes('meet') || 
-               item.name.toLowerCase().includes('character')) {
-      type = 'character_meet';
-    }
+    // Parse each showtime into a park-local timestamp and display time
+    const showtimes = item.showtimes
+      .map(showtime => new Date(showtime.startTime))
+      .filter(startTime => !isNaN(startTime)) // Remove invalid times
+      .map(startTime => parkTimestamp(startTime, timeZone));
+
+    if (showtimes.length === 0) return; // Skip if no valid times
+
+    // Determine show type (park-aware)
+    const type = classifyEntertainment(item.name, park);
 
     // Create entertainment object
     entertainment.push({
       id: generateEntertainmentId(item.name),
       name: item.name,
       type: type,
-      times: times,
-      location: extractLocation(item.name),
+      times: showtimes.map(showtime => showtime.display),
+      showtimes,
+      location: extractLocation(item.name, park),
       duration: estimateDuration(type),
       source: 'live', // This is REAL data!
       lastUpdated: item.lastUpdated || new Date().toISOString()
     });
   });
 
-  console.log(`Parsed ${entertainment.length} entertainment items from ThemeParks API`);
+  logger.info(`Parsed ${entertainment.length} entertainment items from ThemeParks API`);
   return entertainment;
 }
 
@@ -1563,18 +2649,89 @@ function generateEntertainmentId(name) {
     .substring(0, 50);
 }
 
-function extractLocation(name) {
-  // Map known shows to locations
-  const locationMap = {
-    'happily ever after': 'Central Plaza (Cinderella Castle)',
-    'disney festival of fantasy parade': 'Frontierland → Main Street USA',
-    'mickey\'s magical friendship faire': 'Cinderella Castle Forecourt Stage',
-    'casey\'s corner pianist': 'Casey\'s Corner',
-    'dapper dans': 'Main Street USA'
-  };
-  
+// Per-park show knowledge for ThemeParks.wiki SHOW entities.
+// Keywords are matched against the lowercased show name; locations use the
+// longest matching key so "fantasmic" doesn't shadow a more specific entry.
+const ENTERTAINMENT_CATALOG = {
+  'magic-kingdom': {
+    fireworks: ['happily ever after'],
+    parade: ['disney starlight', 'festival of fantasy'],
+    locations: {
+      'happily ever after': 'Central Plaza (Cinderella Castle)',
+      'festival of fantasy': 'Frontierland → Main Street USA',
+      'disney starlight': 'Frontierland → Main Street USA',
+      'mickey\'s magical friendship faire': 'Cinderella Castle Forecourt Stage',
+      'casey\'s corner pianist': 'Casey\'s Corner',
+      'dapper dans': 'Main Street USA'
+    }
+  },
+  'epcot': {
+    fireworks: ['luminous', 'epcot forever', 'harmonious'],
+    parade: [],
+    locations: {
+      'luminous': 'World Showcase Lagoon',
+      'epcot forever': 'World Showcase Lagoon',
+      'harmonious': 'World Showcase Lagoon',
+      'voices of liberty': 'The American Adventure',
+      'jammitors': 'World Celebration',
+      'matsuriza': 'Japan Pavilion',
+      'mariachi cobre': 'Mexico Pavilion',
+      'the circle of life': 'The Land Pavilion'
+    }
+  },
+  'hollywood-studios': {
+    fireworks: ['fantasmic', 'wonderful world of animation'],
+    parade: [],
+    locations: {
+      'fantasmic': 'Hollywood Hills Amphitheater',
+      'wonderful world of animation': 'Chinese Theater',
+      'frozen sing-along': 'Hyperion Theater',
+      'indiana jones epic stunt spectacular': 'Echo Lake',
+      'beauty and the beast': 'Theater of the Stars',
+      'disney junior': 'Animation Courtyard',
+      'the little mermaid': 'Animation Courtyard'
+    }
+  },
+  'animal-kingdom': {
+    fireworks: [],
+    parade: [],
+    locations: {
+      'festival of the lion king': 'Africa',
+      'finding nemo': 'DinoLand U.S.A.',
+      'feathered friends in flight': 'Asia',
+      'tree of life awakenings': 'Discovery Island',
+      'zootopia': 'Discovery Island'
+    }
+  }
+};
+
+function classifyEntertainment(name, park) {
+  const key = name.toLowerCase();
+  const catalog = ENTERTAINMENT_CATALOG[park] || { fireworks: [], parade: [] };
+
+  if (key.includes('fireworks') || key.includes('nighttime spectacular') ||
+      catalog.fireworks.some(keyword => key.includes(keyword))) {
+    return 'fireworks';
+  }
+  if (key.includes('parade') || key.includes('cavalcade') ||
+      catalog.parade.some(keyword => key.includes(keyword))) {
+    return 'parade';
+  }
+  if (key.includes('meet') || key.includes('character')) {
+    return 'character_meet';
+  }
+  return 'show';
+}
+
+function extractLocation(name, park) {
   const key = name.toLowerCase();
-  return locationMap[key] || 'Magic Kingdom';
+  const locations = ENTERTAINMENT_CATALOG[park]?.locations || {};
+
+  const match = Object.keys(locations)
+    .filter(showKey => key.includes(showKey))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? locations[match] : getParkInfo(park).name;
 }
 
 function estimateDuration(type) {
@@ -1587,19 +2744,22 @@ function estimateDuration(type) {
   return durations[type] || 15;
 }
 
-// FIXED formatTime function (renamed to avoid conflicts):
-function formatTimeFixed(date) {
-  if (!date || isNaN(date)) return null;
-  
-  return date.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true,
-    timeZone: 'America/New_York' // Disney World timezone
-  });
+// Adds showtimes ({ time, display }) for today's clock times in `times`; free
+// text like 'Continuous' or '9:00 AM - Park Close' has no single instant
+function withShowtimes(items, park) {
+  const timeZone = getParkInfo(park).timeZone;
+  const today = parkDate(new Date(), timeZone);
+  return items.map(item => ({
+    ...item,
+    showtimes: (item.times || [])
+      .map(parseClockMinutes)
+      .filter(minutes => minutes !== null)
+      .map(minutes => parkTimestamp(parkMinutesToDate(today, minutes, timeZone), timeZone))
+  }));
 }
 
 // ========== UTILITY FUNCTIONS ==========
+// null when nothing parsed, so the source registry falls through to the next source
 function parseWaitTimesData(data, park, parser = 'queue_times') {
   const attractions = [];
   
@@ -1634,74 +2794,51 @@ function parseWaitTimesData(data, park, parser = 'queue_times') {
       });
     }
   } catch (error) {
-    console.error(`Error parsing wait times data for ${park}:`, error);
-    return [];
+    logger.error(`Error parsing wait times data for ${park}`, { park, source: parser, err: error });
+    return null;
   }
   
-  return attractions;
+  return attractions.length > 0 ? attractions : null;
 }
 
-function getSourceName(url) {
-  if (url.includes('touringplans')) return 'touringplans';
-  if (url.includes('queue-times')) return 'queue_times';
-  if (url.includes('themeparks.wiki')) return 'themeparks_wiki';
-  return 'unknown';
+// Registry lookups - unknown parks fall back to Magic Kingdom like they always have
+function getParkInfo(park) {
+  return getPark(park) || getPark('magic-kingdom');
 }
 
 function getParkId(park) {
-  const ids = {
-    'magic-kingdom': 6,
-    'epcot': 5,
-    'hollywood-studios': 7,
-    'animal-kingdom': 8
-  };
-  return ids[park] || 6;
+  return getParkInfo(park).queueTimesId;
 }
 
 function getThemeParksWikiId(park) {
-  const ids = {
-    'magic-kingdom': 'magickingdom',
-    'epcot': 'epcot',
-    'hollywood-studios': 'hollywoodstudios',
-    'animal-kingdom': 'animalkingdom'
-  };
-  return ids[park] || 'magickingdom';
+  return getParkInfo(park).themeParksWiki.park;
+}
+
+function getThemeParksWikiDestination(park) {
+  return getParkInfo(park).themeParksWiki.destination;
 }
 
 function getTypicalOpeningTime(park) {
-  const times = {
-    'animal-kingdom': '08:00',
-    'magic-kingdom': '09:00',
-    'epcot': '09:00',
-    'hollywood-studios': '09:00'
-  };
-  return times[park] || '09:00';
+  return getPark(park)?.typicalHours.open || '09:00';
 }
 
 function getTypicalClosingTime(park) {
-  const times = {
-    'magic-kingdom': '23:00',
-    'epcot': '21:00',
-    'hollywood-studios': '21:00',
-    'animal-kingdom': '20:00'
-  };
-  return times[park] || '21:00';
+  return getPark(park)?.typicalHours.close || '21:00';
 }
 
 // ========== STATIC PARK HOURS (FALLBACK) ==========
-function getStaticParkHours(park) {
+// Typical hours for each park-local date from start to end (default: today)
+function getStaticParkHours(park, start, end = start) {
+  const timeZone = getParkInfo(park).timeZone;
+  const from = start || parkDate(new Date(), timeZone);
   return {
     park,
-    hours: [
-      {
-        date: new Date().toISOString().split('T')[0],
-        openingTime: getTypicalOpeningTime(park),
-        closingTime: getTypicalClosingTime(park),
-        type: 'Operating',
-        specialHours: null
-      }
-    ],
+    timeZone,
+    hours: datesInRange(from, end || from).map(date =>
+      operatingEntry(date, getTypicalOpeningTime(park), getTypicalClosingTime(park), timeZone)
+    ),
     source: 'fallback',
+    dataQuality: 'estimated', // Typical hours, not published ones
     lastUpdated: new Date().toISOString()
   };
 }
@@ -1798,7 +2935,7 @@ function getStaticCharacterMeets(park) {
       }
     ]
   };
-  return characterMeets[park] || [];
+  return withShowtimes(characterMeets[park] || [], park);
 }
 
 // ========== FALLBACK DATA ==========
@@ -1825,7 +2962,11 @@ function getFallbackWaitTimes(park) {
   };
   return {
     park,
-    attractions: fallbacks[park] || [],
+    // Use canonical ids where the catalog knows the ride
+    attractions: (fallbacks[park] || []).map(ride => ({
+      ...ride,
+      id: attractionCatalog.resolve(park, ride.name).attraction?.id || ride.id
+    })),
     source: 'fallback',
     lastUpdated: new Date().toISOString()
   };
@@ -2035,7 +3176,8 @@ function getFallbackEntertainment(park) {
   
   return {
     park,
-    entertainment: fallbacks[park] || [{
+    date: parkDate(new Date(), getParkInfo(park).timeZone),
+    entertainment: withShowtimes(fallbacks[park] || [{
       id: 'default_fallback',
       name: 'Entertainment Available',
       type: 'show',
@@ -2043,7 +3185,7 @@ function getFallbackEntertainment(park) {
       location: 'Various Locations',
       duration: 30,
       source: 'fallback'
-    }],
+    }], park),
     source: 'fallback',
     lastUpdated: new Date().toISOString()
   };
@@ -2051,12 +3193,7 @@ function getFallbackEntertainment(park) {
 
 // ========== ERROR HANDLING ==========
 app.use((err, req, res, next) => {
-  console.error(`🚨 ${req.method} ${req.path}:`, {
-    error: err.message,
-    stack: err.stack,
-    referenceId: req.id,
-    timestamp: new Date().toISOString()
-  });
+  logger.error(`🚨 ${req.method} ${req.path}`, { method: req.method, path: req.path, err });
   res.status(500).json({
     error: 'Internal server error',
     referenceId: req.id,
@@ -2065,29 +3202,43 @@ app.use((err, req, res, next) => {
 });
 
 process.on('uncaughtException', (err) => {
-  console.error('🚨 Uncaught Exception:', err);
+  logger.error('🚨 Uncaught Exception', { err });
   process.exit(1);
 });
 
 process.on('unhandledRejection', (err) => {
-  console.error('🚨 Unhandled Rejection:', err);
+  logger.error('🚨 Unhandled Rejection', { err });
 });
 
+// Flush pending storage writes before Render (or Ctrl+C) stops the process
+const shutdown = async (signal) => {
+  logger.info(`🛑 ${signal} received - flushing storage before exit`);
+  try {
+    await storage.flushAll();
+  } catch (error) {
+    logger.error(`❌ Storage flush failed: ${error.message}`, { err: error });
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ========== START SERVER ==========
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 app.listen(PORT, () => {
-  console.log(`🏰 Disney Data Proxy Server v3.4 FIXED ENTERTAINMENT running on port ${PORT}`);
-  console.log(`📊 Cache TTLs: WT:${CACHE_TTL_WAIT_TIMES}s, ENT:${CACHE_TTL_ENTERTAINMENT}s, PH:${CACHE_TTL_PARK_HOURS}s`);
-  console.log(`🛡️ Security and rate limiting enabled`);
-  console.log(`⚡ Circuit breakers active`);
-  console.log(`🎭 FIXED: Real-time entertainment data from ThemeParks.wiki API`);
-  console.log(`🎆 FIXED: Correct Happily Ever After times (10 PM, not 9 PM)`);
-  console.log(`🔧 FIXED: Queue-Times 406 errors resolved`);
-  console.log(`🔧 FIXED: Proxy configuration issues resolved`);
-  console.log(`🌐 Multiple API fallbacks enabled`);
-  console.log(`📡 Enhanced browser headers implemented`);
-  console.log(`✨ Magic Kingdom: Live entertainment data + fallbacks`);
-  console.log(`✨ EPCOT: 4+ entertainment items (fireworks, shows)`);
-  console.log(`✨ Hollywood Studios: 4+ entertainment items (Fantasmic, shows)`);
-  console.log(`✨ Animal Kingdom: 4+ entertainment items (Lion King, shows, fireworks)`);
+  logger.info(`🏰 Disney Data Proxy Server v3.4 FIXED ENTERTAINMENT running on port ${PORT}`);
+  logger.info(`📊 Cache TTLs: WT:${CACHE_TTL_WAIT_TIMES}s, ENT:${CACHE_TTL_ENTERTAINMENT}s, PH:${CACHE_TTL_PARK_HOURS}s`);
+  logger.info(`🛡️ Security and rate limiting enabled`);
+  logger.info(`⚡ Circuit breakers active`);
+  logger.info(`🎭 FIXED: Real-time entertainment data from ThemeParks.wiki API`);
+  logger.info(`🎆 FIXED: Correct Happily Ever After times (10 PM, not 9 PM)`);
+  logger.info(`🔧 FIXED: Queue-Times 406 errors resolved`);
+  logger.info(`🔧 FIXED: Proxy configuration issues resolved`);
+  logger.info(`🌐 Multiple API fallbacks enabled`);
+  logger.info(`📡 Enhanced browser headers implemented`);
+  logger.info(`✨ All parks: Live ThemeParks.wiki entertainment data + fallbacks`);
+  logger.info(`✨ EPCOT: 4+ entertainment items (fireworks, shows)`);
+  logger.info(`✨ Hollywood Studios: 4+ entertainment items (Fantasmic, shows)`);
+  logger.info(`✨ Animal Kingdom: 4+ entertainment items (Lion King, shows, fireworks)`);
 });
\ No newline at end of file
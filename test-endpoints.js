@@ -0,0 +1,456 @@
+// Route tests against the bundled upstream fixtures (fixtures/upstream).
+// Starts server.js in replay mode on a spare port with in-memory storage, so
+// nothing touches the network or the data directory. Magic Kingdom has
+// recorded responses from every source; EPCOT only has a Queue-Times park
+// info response without hours, and other parks have none - they exercise the
+// fallbacks. Parsers with saved pages (fixtures/themeparkiq) are also
+// checked directly. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseCharacterSchedule } = require('./lib/themeparkiq');
+
+const ADMIN_KEY = 'test-admin-key-0123456789';
+const VIEWER_KEY = 'test-viewer-key-0123456789';
+const EXPO_TOKEN = 'ExponentPushToken[test-endpoints-device]';
+
+let server;
+let baseUrl;
+let serverOutput = '';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function request(path, { method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, ['server.js', '--replay'], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_ADAPTER: 'memory',
+      CACHE_PREWARM: 'false',
+      LOG_LEVEL: 'warn',
+      RATE_LIMIT_MAX: '10000',
+      ADMIN_API_KEYS: `tests:admin:${ADMIN_KEY},dashboards:viewer:${VIEWER_KEY}`,
+      DEVICE_CREDENTIAL_SECRET: 'test-endpoints-device-secret',
+      CONFIG_FILE: '',
+      DATA_SOURCES: '',
+      METRICS_TOKEN: ''
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => { serverOutput += chunk; });
+  server.stderr.on('data', chunk => { serverOutput += chunk; });
+
+  // Wait for /health, failing fast if the server exits (e.g. bad config)
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server.js exited with ${server.exitCode}:\n${serverOutput}`);
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`server.js did not become healthy:\n${serverOutput}`);
+});
+
+after(() => {
+  if (server && server.exitCode === null) server.kill('SIGTERM');
+});
+
+// ========== SERVICE ==========
+test('GET /health reports replay mode and the source registry', async () => {
+  const { status, body, headers } = await request('/health');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.upstreamMode, 'replay');
+  assert.ok(body.sources.some(source => source.id === 'queue_times_wait_times'));
+  assert.equal(headers.get('x-request-id'), body.requestId);
+});
+
+test('GET /api/disney/resorts lists the default resort and its parks', async () => {
+  const { status, body } = await request('/api/disney/resorts');
+  assert.equal(status, 200);
+  const resort = body.resorts.find(entry => entry.id === body.defaultResort);
+  assert.ok(resort, 'default resort is listed');
+  assert.ok(resort.parks.some(park => park.id === 'magic-kingdom'));
+});
+
+test('unknown parks are rejected with a referenceId', async () => {
+  const { status, body } = await request('/api/disney/wait-times/atlantis');
+  assert.equal(status, 400);
+  assert.ok(body.validParks.includes('magic-kingdom'));
+  assert.ok(body.referenceId);
+});
+
+test('unknown resorts are rejected, including inherited object keys', async () => {
+  for (const resort of ['atlantis', 'constructor', 'toString']) {
+    const { status, body } = await request(`/api/disney/${resort}/wait-times/magic-kingdom`);
+    assert.equal(status, 400, resort);
+    assert.ok(body.validResorts.includes('wdw'));
+  }
+});
+
+// ========== PARK DATA ==========
+test('GET /api/disney/wait-times/magic-kingdom serves recorded Queue-Times data', async () => {
+  const { status, body } = await request('/api/disney/wait-times/magic-kingdom');
+  assert.equal(status, 200);
+  assert.equal(body.source, 'queue_times');
+
+  const spaceMountain = body.attractions.find(ride => ride.id === 'magic-kingdom:space-mountain');
+  assert.equal(spaceMountain.waitTime, 45);
+  assert.equal(spaceMountain.land, 'Tomorrowland');
+  const tiana = body.attractions.find(ride => ride.id === 'magic-kingdom:tianas-bayou-adventure');
+  assert.equal(tiana.isOpen, false);
+});
+
+test('parks without fixtures fall back instead of failing', async () => {
+  const { status, body } = await request('/api/disney/wait-times/epcot');
+  assert.equal(status, 200);
+  assert.equal(body.source, 'fallback');
+  assert.ok(body.attractions.length > 0);
+});
+
+test('GET /api/disney/park-hours/magic-kingdom serves typed entries from the recorded schedule', async () => {
+  const { status, body } = await request('/api/disney/park-hours/magic-kingdom?start=2026-10-19&end=2026-10-22');
+  assert.equal(status, 200);
+  assert.equal(body.source, 'themeparks_wiki');
+  assert.equal(body.timeZone, 'America/New_York');
+  assert.deepEqual(
+    body.hours.map(entry => `${entry.date} ${entry.type}`),
+    [
+      '2026-10-19 early_entry',
+      '2026-10-19 operating',
+      '2026-10-20 operating',
+      '2026-10-20 ticketed_event',
+      '2026-10-21 operating',
+      '2026-10-21 extended_evening',
+      '2026-10-22 operating'
+    ]
+  );
+
+  const [earlyEntry, operating] = body.hours;
+  assert.equal(earlyEntry.name, 'Early Theme Park Entry');
+  assert.equal(operating.openingTime, '2026-10-19T09:00:00-04:00');
+  assert.equal(operating.closingTime, '2026-10-19T22:00:00-04:00');
+  assert.equal(operating.openingDisplay, '9:00 AM');
+  assert.equal(operating.closingDisplay, '10:00 PM');
+
+  const party = body.hours.find(entry => entry.type === 'ticketed_event');
+  assert.equal(party.name, "Mickey's Not-So-Scary Halloween Party");
+  const extended = body.hours.find(entry => entry.type === 'extended_evening');
+  assert.equal(extended.name, 'Extended Evening Hours');
+  assert.equal(extended.closingTime, '2026-10-22T01:00:00-04:00');
+  assert.equal(extended.closingDisplay, '1:00 AM');
+});
+
+test('park hours honour the requested date range', async () => {
+  const single = await request('/api/disney/park-hours/magic-kingdom?start=2026-10-21&end=2026-10-21');
+  assert.equal(single.status, 200);
+  assert.deepEqual(single.body.hours.map(entry => entry.type), ['operating', 'extended_evening']);
+  assert.equal(single.body.start, '2026-10-21');
+  assert.equal(single.body.end, '2026-10-21');
+
+  const beyondSchedule = await request('/api/disney/park-hours/magic-kingdom?start=2026-12-01&end=2026-12-07');
+  assert.equal(beyondSchedule.status, 200);
+  assert.deepEqual(beyondSchedule.body.hours, []);
+
+  for (const query of ['start=2026-10-22&end=2026-10-19', 'start=2026-02-30', 'start=2026-01-01&end=2026-06-01']) {
+    const invalid = await request(`/api/disney/park-hours/magic-kingdom?${query}`);
+    assert.equal(invalid.status, 400, query);
+    assert.ok(invalid.body.referenceId);
+  }
+});
+
+test('fallback park hours cover the range with DST-aware offsets', async () => {
+  // Queue-Times answers for EPCOT without hours - that must fall through, not count as live
+  const { status, body } = await request('/api/disney/park-hours/epcot?start=2026-10-31&end=2026-11-02');
+  assert.equal(status, 200);
+  assert.equal(body.source, 'fallback');
+  assert.equal(body.dataQuality, 'estimated');
+  assert.deepEqual(body.hours.map(entry => entry.openingTime), [
+    '2026-10-31T09:00:00-04:00',
+    '2026-11-01T09:00:00-05:00',
+    '2026-11-02T09:00:00-05:00'
+  ]);
+});
+
+test('GET /api/disney/entertainment/magic-kingdom includes live shows', async () => {
+  const { status, body } = await request('/api/disney/entertainment/magic-kingdom');
+  assert.equal(status, 200);
+  const parade = body.entertainment.find(item => item.name === 'Disney Festival of Fantasy Parade');
+  assert.equal(parade.source, 'live');
+  assert.deepEqual(parade.times, ['12:00 PM', '3:00 PM']);
+  assert.deepEqual(parade.showtimes, [
+    { time: '2026-10-19T12:00:00-04:00', display: '12:00 PM' },
+    { time: '2026-10-19T15:00:00-04:00', display: '3:00 PM' }
+  ]);
+  assert.ok(!body.entertainment.some(item => item.name === 'Space Mountain'), 'attractions are not shows');
+});
+
+test('GET /api/disney/character-meets/magic-kingdom includes scraped ThemeParkIQ meets', async () => {
+  const { status, body } = await request('/api/disney/character-meets/magic-kingdom');
+  assert.equal(status, 200);
+  const mickey = body.characterMeets.find(item => item.source === 'theme_park_iq' && item.name === 'Mickey Mouse');
+  assert.deepEqual(mickey.times, ['9:00 AM', '11:30 AM', '2:00 PM']);
+  assert.deepEqual(mickey.showtimes.map(showtime => showtime.display), mickey.times);
+  for (const showtime of mickey.showtimes) {
+    assert.match(showtime.time, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00-0[45]:00$/);
+  }
+  assert.equal(mickey.location, 'Town Square Theater');
+});
+
+test('GET /api/disney/attractions/magic-kingdom resolves nicknames', async () => {
+  const { status, body } = await request('/api/disney/attractions/magic-kingdom?q=7dmt');
+  assert.equal(status, 200);
+  assert.equal(body.match, 'magic-kingdom:seven-dwarfs-mine-train');
+});
+
+test('wait time history validates and caps the from/to range', async () => {
+  const { status, body } = await request('/api/disney/wait-times/magic-kingdom/history?from=2026-10-01T00:00:00Z&to=2026-10-02T00:00:00Z');
+  assert.equal(status, 200);
+  assert.equal(body.timeZone, 'America/New_York');
+  assert.equal(body.from, '2026-09-30T20:00:00-04:00');
+
+  for (const query of ['from=2026-10-02T00:00:00Z&to=2026-10-01T00:00:00Z', 'from=2026-01-01T00:00:00Z&to=2026-10-01T00:00:00Z']) {
+    const invalid = await request(`/api/disney/wait-times/magic-kingdom/history?${query}`);
+    assert.equal(invalid.status, 400, query);
+    assert.ok(invalid.body.referenceId);
+  }
+});
+
+test('GET /api/disney/wait-times/magic-kingdom/forecast answers without history', async () => {
+  const { status, body } = await request('/api/disney/wait-times/magic-kingdom/forecast');
+  assert.equal(status, 200);
+  assert.equal(body.park, 'magic-kingdom');
+  assert.match(body.date, /^\d{4}-\d{2}-\d{2}$/);
+  const { openingTime, openingDisplay } = body.operatingHours;
+  assert.match(openingTime, new RegExp(`^${body.date}T\\d{2}:\\d{2}:00-0[45]:00$`));
+  assert.match(openingDisplay, /^\d{1,2}:\d{2} (AM|PM)$/);
+});
+
+test('forecast resolves the attraction and validates the slot', async () => {
+  const byNickname = await request('/api/disney/wait-times/magic-kingdom/forecast?attraction=7dmt');
+  assert.equal(byNickname.status, 200);
+  assert.ok(byNickname.body.attractions.every(ride => ride.id === 'magic-kingdom:seven-dwarfs-mine-train'));
+
+  const unknown = await request('/api/disney/wait-times/magic-kingdom/forecast?attraction=not-a-real-ride-xyz');
+  assert.equal(unknown.status, 404);
+  assert.ok(unknown.body.referenceId);
+
+  for (const slot of ['20', '10', '135', '30abc']) {
+    const invalid = await request(`/api/disney/wait-times/magic-kingdom/forecast?slot=${slot}`);
+    assert.equal(invalid.status, 400, slot);
+  }
+});
+
+// ========== PARSERS ==========
+test('parseCharacterSchedule reads meets for all four Walt Disney World parks', () => {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/themeparkiq/character-schedule.html'), 'utf8');
+  const byPark = parseCharacterSchedule(html);
+  const meets = (park) => byPark[park].map(meet => `${meet.name} @ ${meet.location}: ${meet.times.join(', ')}`);
+
+  assert.deepEqual(Object.keys(byPark).sort(), ['animal-kingdom', 'epcot', 'hollywood-studios', 'magic-kingdom']);
+  assert.deepEqual(meets('magic-kingdom'), [
+    'Mickey Mouse @ Town Square Theater: 9:00 AM, 11:30 AM, 2:00 PM',
+    'Tiana @ Princess Fairytale Hall: 10:00 AM, 4:30 PM',
+    'Peter Pan @ Magic Kingdom: Check Times' // No times listed, no location -> park name
+  ]);
+  assert.deepEqual(meets('epcot'), [
+    'Anna and Elsa @ Royal Sommerhus, Norway Pavilion: 10:15 AM, 1:45 PM',
+    'Belle @ France Pavilion: 12:00 PM'
+  ]);
+  // h3 headings and "Disney's ..." names still match
+  assert.deepEqual(meets('hollywood-studios'), ['Chewbacca @ Star Wars Launch Bay: 9:30 AM, 3:15 PM']);
+  assert.deepEqual(meets('animal-kingdom'), [
+    'Pocahontas @ Discovery Island Trails: 10:00 AM',
+    'Russell and Dug @ Discovery Island: 11:00 AM, 2:30 PM'
+  ]);
+  // Disney Springs isn't a park - its section is ignored
+  assert.ok(!Object.values(byPark).flat().some(meet => meet.name === 'Not A Park Character'));
+});
+
+test('character meets from one ThemeParkIQ fetch are served for every park', async () => {
+  for (const [park, name] of [['epcot', 'Anna and Elsa'], ['hollywood-studios', 'Chewbacca'], ['animal-kingdom', 'Russell and Dug']]) {
+    const { status, body } = await request(`/api/disney/character-meets/${park}`);
+    assert.equal(status, 200, park);
+    assert.ok(body.characterMeets.some(meet => meet.source === 'theme_park_iq' && meet.name === name), park);
+  }
+});
+
+// ========== NOTIFICATIONS ==========
+test('device registration issues a credential that notification routes and re-registration require', async () => {
+  const registered = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    body: { expoPushToken: EXPO_TOKEN, platform: 'ios' }
+  });
+  assert.equal(registered.status, 200);
+  assert.ok(registered.body.credential);
+  const credential = registered.body.credential;
+
+  const anonymous = await request('/api/notifications/get-watchlist');
+  assert.equal(anonymous.status, 401);
+
+  const added = await request('/api/notifications/add-ride-alert', {
+    method: 'POST',
+    headers: bearer(credential),
+    body: { rideName: 'space mtn', parkId: 'magic-kingdom', thresholdMinutes: 20 }
+  });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.watchItem.attractionId, 'magic-kingdom:space-mountain');
+
+  const watchlist = await request('/api/notifications/get-watchlist', { headers: bearer(credential) });
+  assert.equal(watchlist.status, 200);
+  assert.equal(watchlist.body.userId, registered.body.userId);
+  assert.equal(watchlist.body.totalWatching, 1);
+
+  const history = await request('/api/notifications/history', { headers: bearer(credential) });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.items, []);
+  assert.equal(history.body.unread, 0);
+
+  const otherUser = await request('/api/notifications/watchlist/someone-else', { headers: bearer(credential) });
+  assert.equal(otherUser.status, 403);
+
+  // The token can't be registered again without its credential...
+  const takeover = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    body: { expoPushToken: EXPO_TOKEN, platform: 'android' }
+  });
+  assert.equal(takeover.status, 401);
+  assert.equal(takeover.body.credential, undefined);
+
+  const { body: { credential: otherCredential } } = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    body: { expoPushToken: 'ExponentPushToken[test-endpoints-takeover]', platform: 'android' }
+  });
+  const crossUser = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    headers: bearer(otherCredential),
+    body: { expoPushToken: EXPO_TOKEN, platform: 'android' }
+  });
+  assert.equal(crossUser.status, 409);
+
+  // ...so the first credential still works, and can re-register it
+  const stillOwned = await request('/api/notifications/get-watchlist', { headers: bearer(credential) });
+  assert.equal(stillOwned.status, 200);
+  assert.equal(stillOwned.body.totalWatching, 1);
+  const reRegistered = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    headers: bearer(credential),
+    body: { expoPushToken: EXPO_TOKEN, platform: 'ios' }
+  });
+  assert.equal(reRegistered.status, 200);
+  assert.equal(reRegistered.body.userId, registered.body.userId);
+});
+
+test('unknown rides are rejected when adding an alert', async () => {
+  const { body: { credential } } = await request('/api/notifications/register-expo', {
+    method: 'POST',
+    body: { expoPushToken: 'ExponentPushToken[test-endpoints-other]', platform: 'android' }
+  });
+  const { status, body } = await request('/api/notifications/add-ride-alert', {
+    method: 'POST',
+    headers: bearer(credential),
+    body: { rideName: 'Not A Real Ride', parkId: 'magic-kingdom', thresholdMinutes: 20 }
+  });
+  assert.ok(status >= 400 && status < 500);
+  assert.ok(body.referenceId);
+});
+
+test('FCM watchlist validates the threshold and defaults it only for alert types that use one', async () => {
+  const { body: { credential } } = await request('/api/notifications/register', {
+    method: 'POST',
+    body: { token: 'fcm-test-endpoints-threshold', platform: 'android' }
+  });
+
+  const drop = await request('/api/notifications/watchlist', {
+    method: 'POST',
+    headers: bearer(credential),
+    body: { rideName: 'space mtn', parkId: 'magic-kingdom' }
+  });
+  assert.equal(drop.status, 200);
+  assert.equal(drop.body.watchItem.thresholdMinutes, 30);
+
+  const down = await request('/api/notifications/watchlist', {
+    method: 'POST',
+    headers: bearer(credential),
+    body: { rideName: 'space mtn', parkId: 'magic-kingdom', alertType: 'ride_down' }
+  });
+  assert.equal(down.status, 200);
+  assert.equal(down.body.watchItem.thresholdMinutes, null);
+
+  for (const threshold of ['abc', 0, -5]) {
+    const invalid = await request('/api/notifications/watchlist', {
+      method: 'POST',
+      headers: bearer(credential),
+      body: { rideName: 'space mtn', parkId: 'magic-kingdom', threshold }
+    });
+    assert.equal(invalid.status, 400, String(threshold));
+  }
+});
+
+// ========== ADMIN & METRICS ==========
+test('admin routes check the API key and role', async () => {
+  assert.equal((await request('/api/cache/status')).status, 401);
+  assert.equal((await request('/api/cache/status', { headers: { 'X-API-Key': VIEWER_KEY } })).status, 200);
+  assert.equal((await request('/api/admin/config', { headers: bearer(VIEWER_KEY) })).status, 403);
+
+  const { status, body } = await request('/api/admin/config', { headers: bearer(ADMIN_KEY) });
+  assert.equal(status, 200);
+  assert.equal(body.config.upstream.mode, 'replay');
+  assert.equal(body.origins['upstream.mode'], 'flag');
+  assert.equal(body.config.admin.apiKeys, '[redacted]');
+  assert.ok(!JSON.stringify(body).includes(ADMIN_KEY));
+});
+
+test('the admin audit log records admin requests', async () => {
+  const { status, body } = await request('/api/admin/audit?caller=dashboards', { headers: bearer(ADMIN_KEY) });
+  assert.equal(status, 200);
+  assert.ok(body.entries.length > 0);
+  assert.ok(body.entries.every(entry => entry.caller === 'dashboards'));
+});
+
+test('anonymous admin requests are not persisted to the audit log', async () => {
+  assert.equal((await request('/debug/static-characters/magic-kingdom')).status, 401);
+  const { body } = await request('/api/admin/audit?limit=100', { headers: bearer(ADMIN_KEY) });
+  assert.ok(body.entries.length > 0);
+  assert.ok(body.entries.every(entry => entry.caller !== null));
+});
+
+test('GET /metrics renders Prometheus text', async () => {
+  const { status, body, headers } = await request('/metrics');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/plain/);
+  assert.match(body, /disney_http_request_duration_seconds_count\{/);
+  assert.match(body, /disney_upstream_fetch_duration_seconds_count\{source="queue_times_wait_times"/);
+});